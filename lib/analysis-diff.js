@@ -0,0 +1,364 @@
+/**
+ * What changed between two analyses, or between two versions of a circular.
+ *
+ * References are paired by canonical identity, never by array position: first
+ * by the `canonical_id` each analysis stored, then - for what is left - by an
+ * identity recomputed with abbreviations learned from both sides, so "Master
+ * Circular for CRAs" in one run still pairs with "Master Circular for Credit
+ * Rating Agencies (CRAs)" in the other. Paired references are compared field
+ * by field; availability and confidence changes are counted separately
+ * because they change what a reviewer has to do. A legacy
+ * `external_reference` now looked up in the registry (`missing`,
+ * `obtained_external`) is a re-resolution, not an availability change.
+ *
+ * Two PDF versions are compared paragraph by paragraph: numbered paragraphs
+ * are aligned by wording (so renumbering is not reported as a rewrite), and
+ * each reference is placed in the paragraph its mention was found in.
+ */
+
+import { canonicalIdentity, consolidateReferences, learnAliases } from './canonical-references.js';
+
+// Paragraphs this similar (Dice over words) are treated as versions of each other.
+const PARAGRAPH_MATCH_THRESHOLD = 0.5;
+const PARAGRAPH_PREVIEW = 160;
+
+// Analyses saved before the external registry existed mark every external document this way.
+const LEGACY_EXTERNAL = 'external_reference';
+const REGISTRY_STATUSES = ['missing', 'obtained_external'];
+
+const COMPARED_FIELDS = [
+    { field: 'availability_status', value: ref => ref.availability_status ?? null },
+    { field: 'confidence', value: ref => ref.confidence ?? null },
+    { field: 'reference_type', value: ref => ref.reference_type ?? null },
+    { field: 'relationship', value: ref => ref.relationship || 'refers_to' },
+    { field: 'local_file', value: ref => ref.local_file?.filename ?? null },
+    { field: 'pages', value: ref => [...new Set((ref.occurrences || [ref]).map(mention => mention.page_number).filter(page => page != null))].sort((a, b) => a - b).join(', ') || null },
+    { field: 'mention_count', value: ref => ref.mention_count || 1 }
+];
+
+function describe(ref) {
+    return {
+        canonical_id: ref.canonical_id || null,
+        exact_text: ref.exact_text,
+        reference_type: ref.reference_type,
+        availability_status: ref.availability_status ?? null,
+        confidence: ref.confidence ?? null,
+        page_number: ref.page_number ?? null
+    };
+}
+
+/**
+ * Pair two reference lists by identity. Returns `{ pairs: [[a, b]], onlyA, onlyB }`.
+ */
+export function pairReferences(aRefs, bRefs) {
+    const pairs = [];
+    let onlyA = [...aRefs];
+    let onlyB = [...bRefs];
+
+    const pairBy = key => {
+        const unpairedB = new Map();
+        for (const ref of onlyB) {
+            const id = key(ref);
+            if (id && !unpairedB.has(id)) {
+                unpairedB.set(id, ref);
+            }
+        }
+        const remainingA = [];
+        for (const ref of onlyA) {
+            const match = unpairedB.get(key(ref));
+            if (match) {
+                pairs.push([ref, match]);
+                unpairedB.delete(key(ref));
+            } else {
+                remainingA.push(ref);
+            }
+        }
+        const paired = new Set(pairs.map(([, b]) => b));
+        onlyA = remainingA;
+        onlyB = onlyB.filter(ref => !paired.has(ref));
+    };
+
+    pairBy(ref => ref.canonical_id);
+    const aliases = learnAliases([...aRefs, ...bRefs].flatMap(ref => [ref, ...(ref.occurrences || [])]));
+    pairBy(ref => canonicalIdentity(ref, aliases).canonical_id);
+
+    return { pairs, onlyA, onlyB };
+}
+
+/**
+ * Added, removed and changed references between two reference lists.
+ */
+export function diffReferences(aRefs, bRefs) {
+    const { pairs, onlyA, onlyB } = pairReferences(aRefs, bRefs);
+
+    const changed = [];
+    let unchanged = 0;
+    for (const [a, b] of pairs) {
+        const changes = COMPARED_FIELDS
+            .map(({ field, value }) => ({ field, from: value(a), to: value(b) }))
+            .filter(change => change.from !== change.to)
+            .map(change => change.field === 'availability_status' &&
+                change.from === LEGACY_EXTERNAL && REGISTRY_STATUSES.includes(change.to)
+                ? { ...change, re_resolution: true }
+                : change);
+        if (changes.length === 0) {
+            unchanged++;
+            continue;
+        }
+        changed.push({
+            canonical_id: a.canonical_id || b.canonical_id || null,
+            exact_text: b.exact_text,
+            previous_exact_text: a.exact_text !== b.exact_text ? a.exact_text : undefined,
+            changes
+        });
+    }
+
+    return {
+        summary: {
+            added: onlyB.length,
+            removed: onlyA.length,
+            changed: changed.length,
+            unchanged,
+            availability_changes: changed.filter(entry => entry.changes.some(change => change.field === 'availability_status' && !change.re_resolution)).length,
+            re_resolutions: changed.filter(entry => entry.changes.some(change => change.re_resolution)).length,
+            confidence_changes: changed.filter(entry => entry.changes.some(change => change.field === 'confidence')).length
+        },
+        added: onlyB.map(describe),
+        removed: onlyA.map(describe),
+        changed
+    };
+}
+
+function analysisInfo(analysis, file) {
+    return {
+        file,
+        source_file: analysis.source_file,
+        analysis_date: analysis.analysis_date || null,
+        engine: analysis.engine || null,
+        llm: analysis.llm || null,
+        schema_version: analysis.schema_version || null
+    };
+}
+
+/**
+ * Diff two saved analyses (`compliance_references_*.json` contents). Older
+ * analyses stored every mention separately, so both sides are consolidated
+ * first.
+ */
+export function diffAnalyses(a, b, { fileA = null, fileB = null } = {}) {
+    for (const [analysis, file] of [[a, fileA], [b, fileB]]) {
+        if (!Array.isArray(analysis?.all_references)) {
+            throw new Error(`${file || 'Analysis'} is not a saved analysis (no all_references array)`);
+        }
+    }
+    return {
+        a: analysisInfo(a, fileA),
+        b: analysisInfo(b, fileB),
+        same_source: a.source_file === b.source_file,
+        ...diffReferences(consolidateReferences(a.all_references), consolidateReferences(b.all_references))
+    };
+}
+
+function normalize(text) {
+    return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function wordSet(text) {
+    return new Set(normalize(text).split(' ').filter(word => word.length > 2));
+}
+
+function dice(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    for (const word of a) {
+        if (b.has(word)) {
+            shared++;
+        }
+    }
+    return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Split per-page text into numbered paragraphs ("1.", "3.1", "4.2.1."),
+ * with whatever precedes the first number as the preamble. Returns
+ * `[{ number, page, text }]`.
+ */
+export function splitParagraphs(pages) {
+    const paragraphs = [];
+    let current = { number: null, page: 1, lines: [] };
+
+    pages.forEach((page, i) => {
+        for (const line of String(page ?? '').split('\n')) {
+            if (/^\s*Page \d+ of \d+\s*$/i.test(line)) {
+                continue;
+            }
+            const heading = line.match(/^\s*[“"]?(\d{1,2}(?:\.\d{1,3})+)\.?\s+\S|^\s*[“"]?(\d{1,2})\.\s+\S/);
+            if (heading) {
+                paragraphs.push(current);
+                current = { number: heading[1] || heading[2], page: i + 1, lines: [] };
+            }
+            current.lines.push(line);
+        }
+    });
+    paragraphs.push(current);
+
+    return paragraphs
+        .map(({ number, page, lines }) => ({ number, page, text: lines.join(' ').replace(/\s+/g, ' ').trim() }))
+        .filter(paragraph => paragraph.text);
+}
+
+/**
+ * Pair old and new paragraphs by wording; the same number breaks ties.
+ * Returns `[{ old, new, similarity }]` with `old` or `new` null for
+ * paragraphs only in one version, in new-version order.
+ */
+export function alignParagraphs(oldParagraphs, newParagraphs) {
+    const oldWords = oldParagraphs.map(paragraph => wordSet(paragraph.text));
+    const newWords = newParagraphs.map(paragraph => wordSet(paragraph.text));
+
+    const candidates = [];
+    newParagraphs.forEach((newParagraph, j) => {
+        oldParagraphs.forEach((oldParagraph, i) => {
+            const similarity = normalize(oldParagraph.text) === normalize(newParagraph.text) ? 1 : dice(oldWords[i], newWords[j]);
+            if (similarity >= PARAGRAPH_MATCH_THRESHOLD) {
+                candidates.push({ i, j, similarity, sameNumber: oldParagraph.number === newParagraph.number });
+            }
+        });
+    });
+    candidates.sort((a, b) => b.similarity - a.similarity || Number(b.sameNumber) - Number(a.sameNumber) || Math.abs(a.i - a.j) - Math.abs(b.i - b.j));
+
+    const oldTaken = new Map();
+    const newTaken = new Map();
+    for (const candidate of candidates) {
+        if (!oldTaken.has(candidate.i) && !newTaken.has(candidate.j)) {
+            oldTaken.set(candidate.i, candidate);
+            newTaken.set(candidate.j, candidate);
+        }
+    }
+
+    const aligned = newParagraphs.map((paragraph, j) => {
+        const match = newTaken.get(j);
+        return {
+            old: match ? oldParagraphs[match.i] : null,
+            new: paragraph,
+            similarity: match ? Math.round(match.similarity * 100) / 100 : 0
+        };
+    });
+    // Removed paragraphs go after the new paragraph that followed them in the old version.
+    oldParagraphs.forEach((paragraph, i) => {
+        if (!oldTaken.has(i)) {
+            const next = aligned.findIndex(entry => entry.old && oldParagraphs.indexOf(entry.old) > i);
+            aligned.splice(next < 0 ? aligned.length : next, 0, { old: paragraph, new: null, similarity: 0 });
+        }
+    });
+    return aligned;
+}
+
+/**
+ * Index of the paragraph each mention of `ref` falls in: the one containing
+ * its exact text, preferring paragraphs that start on or before its page.
+ */
+function paragraphsOf(ref, paragraphs) {
+    const found = new Set();
+    for (const mention of ref.occurrences || [ref]) {
+        const needle = normalize(mention.exact_text);
+        const matches = paragraphs
+            .map((paragraph, i) => ({ paragraph, i }))
+            .filter(({ paragraph }) => needle && normalize(paragraph.text).includes(needle));
+        const onPage = matches.filter(({ paragraph }) => mention.page_number == null || paragraph.page <= mention.page_number);
+        const best = (onPage.length > 0 ? onPage[onPage.length - 1] : matches[0]);
+        if (best) {
+            found.add(best.i);
+        }
+    }
+    return found;
+}
+
+function preview(paragraph) {
+    if (!paragraph) {
+        return null;
+    }
+    return paragraph.text.length > PARAGRAPH_PREVIEW ? `${paragraph.text.slice(0, PARAGRAPH_PREVIEW - 3)}...` : paragraph.text;
+}
+
+/**
+ * Compare two versions of a document. `oldVersion` and `newVersion` are
+ * `{ file, pages, references }` with consolidated references. Returns the
+ * document-level reference diff plus, per paragraph that changed, which
+ * references it introduced or dropped.
+ */
+export function diffDocumentVersions(oldVersion, newVersion) {
+    const references = diffReferences(oldVersion.references, newVersion.references);
+    const { pairs } = pairReferences(oldVersion.references, newVersion.references);
+
+    // One key per document-level identity, shared by both versions.
+    const keys = new Map();
+    pairs.forEach(([a, b], n) => {
+        keys.set(a, `pair-${n}`);
+        keys.set(b, `pair-${n}`);
+    });
+    const keyOf = ref => keys.get(ref) || ref;
+
+    const oldParagraphs = splitParagraphs(oldVersion.pages);
+    const newParagraphs = splitParagraphs(newVersion.pages);
+    const place = (refs, paragraphs) => {
+        const byParagraph = paragraphs.map(() => new Map());
+        const unplaced = [];
+        for (const ref of refs) {
+            const found = paragraphsOf(ref, paragraphs);
+            if (found.size === 0) {
+                unplaced.push(ref);
+            }
+            for (const i of found) {
+                byParagraph[i].set(keyOf(ref), ref);
+            }
+        }
+        return { byParagraph, unplaced };
+    };
+    const oldPlaced = place(oldVersion.references, oldParagraphs);
+    const newPlaced = place(newVersion.references, newParagraphs);
+
+    const paragraphs = [];
+    const counts = { unchanged: 0, modified: 0, added: 0, removed: 0 };
+    for (const entry of alignParagraphs(oldParagraphs, newParagraphs)) {
+        const before = entry.old ? oldPlaced.byParagraph[oldParagraphs.indexOf(entry.old)] : new Map();
+        const after = entry.new ? newPlaced.byParagraph[newParagraphs.indexOf(entry.new)] : new Map();
+        const introduced = [...after].filter(([key]) => !before.has(key)).map(([, ref]) => describe(ref));
+        const dropped = [...before].filter(([key]) => !after.has(key)).map(([, ref]) => describe(ref));
+
+        const status = !entry.old ? 'added' : !entry.new ? 'removed'
+            : normalize(entry.old.text) === normalize(entry.new.text) ? 'unchanged' : 'modified';
+        counts[status]++;
+        if (status === 'unchanged' && introduced.length === 0 && dropped.length === 0) {
+            continue;
+        }
+
+        paragraphs.push({
+            status,
+            old_number: entry.old?.number ?? null,
+            new_number: entry.new?.number ?? null,
+            old_page: entry.old?.page ?? null,
+            new_page: entry.new?.page ?? null,
+            similarity: entry.similarity,
+            old_text: preview(entry.old),
+            new_text: preview(entry.new),
+            references_introduced: introduced,
+            references_dropped: dropped
+        });
+    }
+
+    return {
+        old: { file: oldVersion.file, pages: oldVersion.pages.length, references: oldVersion.references.length },
+        new: { file: newVersion.file, pages: newVersion.pages.length, references: newVersion.references.length },
+        summary: {
+            paragraphs: counts,
+            references_introduced: paragraphs.reduce((sum, paragraph) => sum + paragraph.references_introduced.length, 0),
+            references_dropped: paragraphs.reduce((sum, paragraph) => sum + paragraph.references_dropped.length, 0),
+            references_not_located: oldPlaced.unplaced.length + newPlaced.unplaced.length
+        },
+        references,
+        paragraphs
+    };
+}
@@ -0,0 +1,51 @@
+/**
+ * Access to saved analyses (the `compliance_references_*.json` files written
+ * by `saveResults`), whether from single runs or from `analyze-all`.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const ANALYSIS_FILE_PATTERN = /^compliance_references_.+\.json$/;
+
+export async function findAnalysisFiles(dirs) {
+    const files = [];
+    for (const dir of dirs) {
+        if (!await fs.pathExists(dir)) {
+            continue;
+        }
+        for (const entry of await fs.readdir(dir)) {
+            if (ANALYSIS_FILE_PATTERN.test(entry)) {
+                files.push(path.join(dir, entry));
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * Load the most recent analysis for each source file across `dirs`.
+ */
+export async function loadLatestAnalyses(dirs) {
+    const latest = new Map();
+
+    for (const file of await findAnalysisFiles(dirs)) {
+        let analysis;
+        try {
+            analysis = await fs.readJson(file);
+        } catch {
+            continue;
+        }
+        if (!analysis.source_file) {
+            continue;
+        }
+
+        analysis.analysis_file = file;
+        const current = latest.get(analysis.source_file);
+        if (!current || new Date(analysis.analysis_date) > new Date(current.analysis_date)) {
+            latest.set(analysis.source_file, analysis);
+        }
+    }
+
+    return [...latest.values()];
+}
@@ -0,0 +1,358 @@
+/**
+ * Local HTTP API for other internal tools (document management, review
+ * dashboards) that would otherwise shell out to the CLI.
+ *
+ *   GET  /health                   liveness; never needs the token
+ *   POST /analyze?filename=x.pdf   raw PDF body -> the saved analysis JSON
+ *   GET  /circulars?q=&entity=&limit=  the local collection (`loadLocalCirculars`)
+ *   GET  /circulars/:filename      one local circular
+ *   GET  /analyses                 latest analysis summary per source file
+ *   GET  /analyses/:source_file    latest full analysis (`?all=1`: every saved one)
+ *   POST /batch                    start analyze-all in the background -> job
+ *   GET  /batch, /batch/:id        poll batch jobs
+ *
+ * Analyses are returned exactly as `saveResults` writes them. With a token
+ * configured, every other endpoint requires `Authorization: Bearer <token>`
+ * (or `X-API-Token`). Uploads larger than `maxUploadBytes` get 413 and the
+ * connection is closed once the response is sent.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { BatchAnalyzer } from './batch-analyzer.js';
+import { hashBuffer } from './circular-index.js';
+import { findAnalysisFiles, loadLatestAnalyses } from './analysis-store.js';
+import { IncompleteAnalysisError } from './reference-schema.js';
+import { circularHasEntity, resolveEntity } from './taxonomy.js';
+
+export const DEFAULT_PORT = 8787;
+export const DEFAULT_MAX_UPLOAD_MB = 25;
+
+class HttpError extends Error {
+    constructor(status, message, details = {}, headers = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+function sendJson(response, status, body, headers = {}) {
+    const payload = JSON.stringify(body, null, 2);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+    });
+    response.end(payload);
+}
+
+function tokensEqual(given, expected) {
+    const a = Buffer.from(String(given ?? ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(request, limit) {
+    return new Promise((resolve, reject) => {
+        // The rest of an oversized body is drained unread, so the client can finish sending and see the 413.
+        const tooLarge = () => {
+            reject(new HttpError(413, `Upload exceeds the ${limit} byte limit`, {}, { Connection: 'close' }));
+            request.removeAllListeners('data');
+            request.resume();
+        };
+
+        const declared = Number(request.headers['content-length']);
+        if (declared > limit) {
+            tooLarge();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                tooLarge();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        throw new HttpError(400, `Malformed URL path segment '${segment}'`);
+    }
+}
+
+function circularMatches(circular, query) {
+    const haystack = [circular.filename, circular.circular_number, circular.subject, circular.date, ...(circular.key_terms || [])]
+        .filter(Boolean).join(' ').toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+export class ApiServer {
+    /**
+     * `finder` is a loaded EnhancedAIReferenceFinder. New analyses are saved
+     * to `outputDir`; past analyses are read from `analysisDirs`.
+     */
+    constructor(finder, {
+        outputDir = 'analyses',
+        analysisDirs = [outputDir],
+        token = null,
+        maxUploadBytes = DEFAULT_MAX_UPLOAD_MB * 1024 * 1024,
+        formats = [],
+        concurrency = 2
+    } = {}) {
+        this.finder = finder;
+        this.outputDir = outputDir;
+        this.uploadDir = path.join(outputDir, 'uploads');
+        this.analysisDirs = [...new Set([...analysisDirs, outputDir])];
+        this.token = token;
+        this.maxUploadBytes = maxUploadBytes;
+        this.formats = formats;
+        this.concurrency = concurrency;
+        this.jobs = new Map();
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    listen(port = DEFAULT_PORT, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(request, response) {
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const segments = url.pathname.split('/').filter(Boolean).map(decodeSegment);
+
+            if (segments[0] !== 'health' && this.token) {
+                const bearer = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+                if (!tokensEqual(bearer || request.headers['x-api-token'], this.token)) {
+                    throw new HttpError(401, 'Missing or invalid API token');
+                }
+            }
+
+            const { status = 200, body } = await this.route(request, segments, url.searchParams);
+            sendJson(response, status, body);
+        } catch (error) {
+            const status = error.status || 500;
+            sendJson(response, status, { error: error.message, ...(error.details || {}) }, error.headers);
+        }
+    }
+
+    async route(request, segments, query) {
+        const [resource, id, ...rest] = segments;
+        const method = request.method;
+
+        if (rest.length === 0) {
+            if (resource === 'health' && !id && method === 'GET') {
+                return { body: this.health() };
+            }
+            if (resource === 'analyze' && !id && method === 'POST') {
+                return this.analyzeUpload(request, query);
+            }
+            if (resource === 'circulars' && method === 'GET') {
+                return { body: id ? this.getCircular(id) : this.listCirculars(query) };
+            }
+            if (resource === 'analyses' && method === 'GET') {
+                return { body: id ? await this.getAnalysis(id, query) : await this.listAnalyses() };
+            }
+            if (resource === 'batch' && !id && method === 'POST') {
+                return { status: 202, body: this.startBatch() };
+            }
+            if (resource === 'batch' && method === 'GET') {
+                return { body: id ? this.getJob(id) : [...this.jobs.values()].map(job => this.describeJob(job)) };
+            }
+        }
+
+        throw new HttpError(404, `No route for ${method} /${segments.join('/')}`);
+    }
+
+    health() {
+        return {
+            status: 'ok',
+            engine: this.finder.engine,
+            llm: this.finder.provider ? { provider: this.finder.provider.name, model: this.finder.provider.model } : null,
+            circulars: Object.keys(this.finder.localCirculars).length,
+            auth: Boolean(this.token)
+        };
+    }
+
+    async analyzeUpload(request, query) {
+        const filename = path.basename(query.get('filename') || request.headers['x-filename'] || 'upload.pdf');
+        if (!filename.toLowerCase().endsWith('.pdf')) {
+            throw new HttpError(400, `'${filename}' is not a PDF file name`);
+        }
+
+        const body = await readBody(request, this.maxUploadBytes);
+        if (!body.subarray(0, 5).equals(Buffer.from('%PDF-'))) {
+            throw new HttpError(415, 'Request body is not a PDF (expected raw application/pdf bytes)');
+        }
+
+        // Kept next to the analyses so report links and source_file_full_path stay valid.
+        // The content hash prefix keeps concurrent uploads with the same name apart.
+        await fs.ensureDir(this.uploadDir);
+        const pdfPath = path.join(this.uploadDir, `${hashBuffer(body).slice(0, 16)}-${filename}`);
+        await fs.writeFile(pdfPath, body);
+
+        let references;
+        try {
+            references = await this.finder.findReferences(pdfPath, { throwOnError: true });
+        } catch (error) {
+            if (error instanceof IncompleteAnalysisError) {
+                const partialFile = await this.finder.savePartialResults(error, filename, pdfPath, { outputDir: this.outputDir });
+                throw new HttpError(502, error.message, { partial_results: await fs.readJson(partialFile) });
+            }
+            throw new HttpError(422, error.message);
+        }
+
+        const enhancedReferences = this.finder.consolidateReferences(
+            this.finder.enhanceReferencesWithAvailability(references, filename)
+        );
+        const outputFile = await this.finder.saveResults(enhancedReferences, filename, pdfPath, {
+            outputDir: this.outputDir,
+            formats: this.formats
+        });
+        return { status: 201, body: await fs.readJson(outputFile) };
+    }
+
+    listCirculars(query) {
+        const q = query.get('q');
+        const limit = Number(query.get('limit')) || Infinity;
+        let entity = null;
+        if (query.get('entity')) {
+            try {
+                entity = resolveEntity(this.finder.taxonomy, query.get('entity')).id;
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+        }
+        const circulars = Object.values(this.finder.localCirculars)
+            .filter(circular => !q || circularMatches(circular, q))
+            .filter(circular => !entity || circularHasEntity(circular, entity))
+            .sort((a, b) => a.filename.localeCompare(b.filename));
+        return { total: circulars.length, circulars: circulars.slice(0, limit) };
+    }
+
+    getCircular(filename) {
+        const circular = this.finder.localCirculars[filename];
+        if (!circular) {
+            throw new HttpError(404, `No local circular named '${filename}'`);
+        }
+        return circular;
+    }
+
+    async listAnalyses() {
+        const analyses = await loadLatestAnalyses(this.analysisDirs);
+        return analyses
+            .map(analysis => ({
+                source_file: analysis.source_file,
+                analysis_date: analysis.analysis_date,
+                engine: analysis.engine,
+                schema_version: analysis.schema_version || null,
+                summary: analysis.summary,
+                analysis_file: analysis.analysis_file
+            }))
+            .sort((a, b) => a.source_file.localeCompare(b.source_file));
+    }
+
+    async getAnalysis(sourceFile, query) {
+        const analyses = [];
+        for (const file of await findAnalysisFiles(this.analysisDirs)) {
+            const analysis = await fs.readJson(file).catch(() => null);
+            if (analysis?.source_file === sourceFile) {
+                analyses.push(analysis);
+            }
+        }
+        if (analyses.length === 0) {
+            throw new HttpError(404, `No saved analysis for '${sourceFile}'`);
+        }
+
+        analyses.sort((a, b) => new Date(b.analysis_date) - new Date(a.analysis_date));
+        return ['1', 'true'].includes(query.get('all')) ? analyses : analyses[0];
+    }
+
+    startBatch() {
+        const running = [...this.jobs.values()].find(job => job.status === 'running');
+        if (running) {
+            throw new HttpError(409, `Batch job ${running.id} is still running`, { job: this.describeJob(running) });
+        }
+
+        const batch = new BatchAnalyzer(this.finder, {
+            outputDir: this.outputDir,
+            concurrency: this.concurrency,
+            formats: this.formats
+        });
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'running',
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            batch,
+            summary: null,
+            error: null
+        };
+        this.jobs.set(job.id, job);
+
+        batch.run()
+            .then(async summary => {
+                await batch.writeGraph(['json']);
+                job.summary = summary;
+                job.status = summary.failed.length > 0 ? 'completed_with_errors' : 'completed';
+            })
+            .catch(error => {
+                job.status = 'failed';
+                job.error = error.message;
+            })
+            .finally(() => {
+                job.finished_at = new Date().toISOString();
+            });
+
+        return this.describeJob(job);
+    }
+
+    getJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new HttpError(404, `No batch job '${id}'`);
+        }
+        return this.describeJob(job);
+    }
+
+    describeJob(job) {
+        const files = Object.entries(job.batch.state?.files || {});
+        const total = Object.keys(this.finder.localCirculars).length;
+        return {
+            id: job.id,
+            status: job.status,
+            started_at: job.started_at,
+            finished_at: job.finished_at,
+            progress: {
+                total,
+                done: files.filter(([, entry]) => entry.status === 'done').length,
+                failed: files.filter(([, entry]) => entry.status === 'failed').map(([filename, entry]) => ({
+                    filename,
+                    error: entry.error,
+                    partial_file: entry.partial_file || null
+                }))
+            },
+            summary: job.summary,
+            error: job.error
+        };
+    }
+}
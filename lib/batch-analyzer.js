@@ -0,0 +1,180 @@
+/**
+ * Corpus-wide batch analysis.
+ *
+ * Runs the single-document pipeline (reference extraction -> availability)
+ * over every PDF in the local collection with a concurrency limit. Progress is
+ * recorded in `batch_state.json` after each file so an interrupted or
+ * partially failed run can be resumed without re-analyzing completed circulars.
+ * Each entry keeps the content hash of the PDF it analyzed; a circular whose
+ * PDF has since been replaced is analyzed again.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { CitationGraph, GRAPH_FORMATS } from './citation-graph.js';
+import { IncompleteAnalysisError } from './reference-schema.js';
+
+export const BATCH_STATE_FILE = 'batch_state.json';
+export const GRAPH_BASENAME = 'citation_graph';
+
+/**
+ * Run `worker` over `items` with at most `limit` in flight at once.
+ */
+export async function runWithConcurrency(items, limit, worker) {
+    const queue = [...items];
+    const runners = [];
+
+    for (let i = 0; i < Math.max(1, Math.min(limit, queue.length)); i++) {
+        runners.push((async () => {
+            while (queue.length > 0) {
+                const item = queue.shift();
+                await worker(item);
+            }
+        })());
+    }
+
+    await Promise.all(runners);
+}
+
+export class BatchAnalyzer {
+    constructor(finder, { outputDir = 'analyses', concurrency = 2, resume = true, formats = [] } = {}) {
+        this.finder = finder;
+        this.outputDir = outputDir;
+        this.formats = formats;
+        this.concurrency = concurrency;
+        this.resume = resume;
+        this.statePath = path.join(outputDir, BATCH_STATE_FILE);
+        this.state = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async loadState() {
+        if (this.resume && await fs.pathExists(this.statePath)) {
+            this.state = await fs.readJson(this.statePath);
+        } else {
+            this.state = { started_at: new Date().toISOString(), files: {} };
+        }
+        return this.state;
+    }
+
+    saveState() {
+        // Workers finish concurrently; chain writes so they never interleave.
+        this.state.updated_at = new Date().toISOString();
+        const snapshot = JSON.parse(JSON.stringify(this.state));
+        this.pendingWrite = this.pendingWrite.then(() => fs.writeJson(this.statePath, snapshot, { spaces: 2 }));
+        return this.pendingWrite;
+    }
+
+    isComplete(filename) {
+        const entry = this.state.files[filename];
+        // Entries saved before hashes were recorded have no content_hash; trust them.
+        const contentHash = this.finder.localCirculars[filename]?.content_hash;
+        const unchanged = !entry?.content_hash || !contentHash || entry.content_hash === contentHash;
+        return entry?.status === 'done' && entry.output_file && fs.pathExistsSync(entry.output_file) && unchanged;
+    }
+
+    async analyzeOne(filename) {
+        const circular = this.finder.localCirculars[filename];
+        const entry = this.state.files[filename] || { attempts: 0 };
+        entry.attempts += 1;
+        entry.started_at = new Date().toISOString();
+        entry.content_hash = circular.content_hash || null;
+        this.state.files[filename] = entry;
+
+        try {
+            const references = await this.finder.findReferences(circular.file_path, { throwOnError: true });
+            const enhancedReferences = this.finder.consolidateReferences(
+                this.finder.enhanceReferencesWithAvailability(references, filename)
+            );
+            const outputFile = await this.finder.saveResults(
+                enhancedReferences, filename, circular.file_path, { outputDir: this.outputDir, formats: this.formats }
+            );
+
+            Object.assign(entry, {
+                status: 'done',
+                output_file: outputFile,
+                references: enhancedReferences.length,
+                error: null,
+                partial_file: null,
+                completed_at: new Date().toISOString()
+            });
+            console.log(chalk.green(`  ✅ ${filename}: ${enhancedReferences.length} references`));
+        } catch (error) {
+            Object.assign(entry, {
+                status: 'failed',
+                error: error.message,
+                partial_file: error instanceof IncompleteAnalysisError
+                    ? await this.finder.savePartialResults(error, filename, circular.file_path, { outputDir: this.outputDir })
+                    : null,
+                completed_at: new Date().toISOString()
+            });
+            console.log(chalk.red(`  ❌ ${filename}: ${error.message}`));
+        }
+
+        await this.saveState();
+    }
+
+    /**
+     * Analyze `filenames`, skipping completed ones unless `force` is set.
+     * A completed circular whose PDF changed since is not skipped.
+     */
+    async run(filenames = Object.keys(this.finder.localCirculars), { force = false } = {}) {
+        await fs.ensureDir(this.outputDir);
+        await this.loadState();
+
+        const pending = filenames.filter(filename => force || !this.isComplete(filename));
+        const skipped = filenames.length - pending.length;
+
+        console.log(chalk.blue(`📦 Batch analysis: ${pending.length} to analyze, ${skipped} already complete (concurrency ${this.concurrency})`));
+
+        await runWithConcurrency(pending, this.concurrency, filename => this.analyzeOne(filename));
+        await this.pendingWrite;
+
+        const failed = filenames.filter(filename => this.state.files[filename]?.status === 'failed');
+        return {
+            total: filenames.length,
+            analyzed: pending.length - failed.length,
+            skipped,
+            failed,
+            // AI analysis failed after retries; partial results were saved
+            incomplete: failed.filter(filename => this.state.files[filename].partial_file)
+        };
+    }
+
+    /**
+     * Load every completed analysis recorded in the batch state.
+     */
+    async loadAnalyses() {
+        if (!this.state) {
+            await this.loadState();
+        }
+
+        const analyses = [];
+        for (const entry of Object.values(this.state.files)) {
+            if (entry.status === 'done' && entry.output_file && await fs.pathExists(entry.output_file)) {
+                const analysis = await fs.readJson(entry.output_file);
+                analysis.analysis_file = entry.output_file;
+                analyses.push(analysis);
+            }
+        }
+        return analyses;
+    }
+
+    async writeGraph(formats = ['json']) {
+        const analyses = await this.loadAnalyses();
+        const graph = CitationGraph.fromAnalyses(analyses, this.finder.localCirculars);
+        const written = [];
+
+        for (const format of formats) {
+            if (!GRAPH_FORMATS.includes(format)) {
+                throw new Error(`Unsupported graph format: ${format} (expected ${GRAPH_FORMATS.join(', ')})`);
+            }
+            const outputFile = path.join(this.outputDir, `${GRAPH_BASENAME}.${format}`);
+            await fs.writeFile(outputFile, graph.serialize(format));
+            written.push(outputFile);
+        }
+
+        return { graph, written };
+    }
+}
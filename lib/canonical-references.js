@@ -0,0 +1,283 @@
+/**
+ * Canonical reference identities.
+ *
+ * The same document is cited many ways ("Para 33.1.3 of the Master Circular
+ * for Credit Rating Agencies (CRAs) dated May 16, 2024" vs "Para 33.1.3 of
+ * the Master Circular for CRAs"). Each reference gets:
+ *
+ *   document_id  - the cited document:  regulations:sebi-research-analyst:2014
+ *   canonical_id - document + provision: regulations:sebi-research-analyst:2014#regulation-24(9)
+ *
+ * Mentions sharing a canonical_id are grouped into one reference with a list
+ * of occurrences.
+ */
+
+import { normalizeCircularNumber } from './rule-extractor.js';
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+// Short names used in circulars for frequently cited documents and entities.
+const REGULATION_ABBREVIATIONS = {
+    'lodr': 'SEBI (Listing Obligations and Disclosure Requirements)',
+    'icdr': 'SEBI (Issue of Capital and Disclosure Requirements)',
+    'ncs': 'SEBI (Issue and Listing of Non-Convertible Securities)',
+    'secc': 'Securities Contracts (Regulation) (Stock Exchanges and Clearing Corporations)',
+    'd&p': 'SEBI (Depositories and Participants)',
+    'pit': 'SEBI (Prohibition of Insider Trading)',
+    'sast': 'SEBI (Substantial Acquisition of Shares and Takeovers)',
+    'aif': 'SEBI (Alternative Investment Funds)',
+    'fpi': 'SEBI (Foreign Portfolio Investors)',
+    'ia': 'SEBI (Investment Advisers)',
+    'ra': 'SEBI (Research Analysts)',
+    'cra': 'SEBI (Credit Rating Agencies)'
+};
+
+const SUBJECT_ABBREVIATIONS = {
+    'cras': 'credit rating agencies',
+    'cra': 'credit rating agencies',
+    'rtas': 'registrars to an issue and share transfer agents',
+    'rta': 'registrars to an issue and share transfer agents',
+    'ias': 'investment advisers',
+    'ras': 'research analysts',
+    'mfs': 'mutual funds',
+    'aifs': 'alternative investment funds',
+    'fpis': 'foreign portfolio investors',
+    'kras': 'kyc registration agencies',
+    'ncs': 'issue and listing of non-convertible securities',
+    'ncs master circular': 'issue and listing of non-convertible securities'
+};
+
+// Tolerates the stray spaces PDF text puts inside numbers ("SEBI/HO/ ITD-1/...", "MRD/POD 3/", ".../2025/ 70")
+// and a missing slash before the year ("CIR2025/85").
+export const CIRCULAR_NUMBER = /\bSEBI\/(?:\s?[A-Za-z0-9_.-]+(?:-\s|\s)?[A-Za-z0-9_.-]*\/){1,7}\s?(?:CIR)?\d{4}\/\s?\d+\b/;
+const FULL_REGULATIONS = /\b(SEBI|Securities and Exchange Board of India|Securities Contracts)\s*((?:\([^()]+\)\s*)+)Regulations,?\s*(\d{4})/i;
+const SHORT_REGULATIONS = /\b(?:SEBI\s+)?([A-Z&]{2,5})\s+Regulations,?\s*(\d{4})?/;
+const ACT = /\b((?:[A-Z][A-Za-z-]*|\([A-Z][A-Za-z ]*\))(?:\s+(?:[A-Z][A-Za-z-]*|\([A-Z][A-Za-z ]*\)|and|of|for))*)\s+Act,?\s*(\d{4})/;
+const MASTER_CIRCULAR = /Master Circular(?:\s+for\s+(?:the\s+)?(.+?))?(?=\s+dated\b|\s*\(["“'‘]|\s+stands\b|\s*[,;:]|$)/i;
+const PROVISION = /\b(section|regulation|rule|clause|para(?:graph)?)s?\s+(\d+[a-z]?(?:\.\d+)*(?:\s?\([0-9a-z]+\))*(?:\s*(?:,|and)\s*\d+[a-z]?(?:\.\d+)*(?:\s?\([0-9a-z]+\))*)*)/i;
+const DATED = /dated\s+((?:january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2},?\s+\d{4})/i;
+
+function singular(word) {
+    if (/ies$/.test(word) && word.length > 4) {
+        return word.slice(0, -3) + 'y';
+    }
+    if (/[^s]s$/.test(word) && word.length > 3) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+export function slugify(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        // Tolerates the "Securities and Exchange of India" typo seen in some circulars.
+        .replace(/securities and exchange (?:board )?of india/g, 'sebi')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word && word !== 'the')
+        .map(singular)
+        .join('-');
+}
+
+export function isoDate(text) {
+    const match = String(text ?? '').toLowerCase().match(/([a-z]+)\s+(\d{1,2}),?\s+(\d{4})/);
+    if (!match || !MONTHS.includes(match[1])) {
+        return null;
+    }
+    const month = String(MONTHS.indexOf(match[1]) + 1).padStart(2, '0');
+    return `${match[3]}-${month}-${match[2].padStart(2, '0')}`;
+}
+
+export function parseProvision(text) {
+    const match = String(text ?? '').match(PROVISION);
+    if (!match) {
+        return null;
+    }
+    const kind = match[1].toLowerCase().replace('paragraph', 'para');
+    const number = match[2].toLowerCase().replace(/\s*and\s*/g, ',').replace(/\s+/g, '');
+    return `${kind}-${number}`;
+}
+
+/**
+ * Learn "Full Name (ABBR)" pairs from the references themselves so that a
+ * later "Master Circular for CRAs" resolves to the same subject.
+ */
+export function learnAliases(references) {
+    const aliases = { ...SUBJECT_ABBREVIATIONS };
+    for (const ref of references) {
+        const text = `${ref.title || ''} ${ref.exact_text || ''}`;
+        for (const match of text.matchAll(/([A-Z][A-Za-z]+(?:\s+(?:[A-Za-z]+))*?)\s+\(([A-Z][A-Za-z&]{1,8})\)/g)) {
+            const abbreviation = match[2].toLowerCase();
+            const words = match[1].split(/\s+/);
+            // Keep as many trailing words as the abbreviation has capitals (CRAs -> 3).
+            const capitals = (match[2].match(/[A-Z]/g) || []).length;
+            aliases[abbreviation] = aliases[abbreviation] || words.slice(-Math.max(capitals, 1)).join(' ').toLowerCase();
+        }
+    }
+    return aliases;
+}
+
+function subjectSlug(subject, aliases) {
+    let cleaned = String(subject ?? '')
+        .replace(/\([^()]*\)/g, ' ')
+        .replace(/\bSEBI\b/gi, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+    if (aliases[cleaned]) {
+        cleaned = aliases[cleaned];
+    }
+    return slugify(cleaned.split(' ').map(word => aliases[word] || word).join(' '));
+}
+
+function regulationsId(text) {
+    const full = text.match(FULL_REGULATIONS);
+    if (full) {
+        return { slug: slugify(`${full[1]} ${full[2]}`), year: full[3] };
+    }
+    const short = text.match(SHORT_REGULATIONS);
+    if (short && REGULATION_ABBREVIATIONS[short[1].toLowerCase()]) {
+        return { slug: slugify(REGULATION_ABBREVIATIONS[short[1].toLowerCase()]), year: short[2] || null };
+    }
+    return null;
+}
+
+/**
+ * Work out `{ document_id, canonical_id, kind }` for one reference.
+ */
+export function canonicalIdentity(ref, aliases = SUBJECT_ABBREVIATIONS) {
+    const text = `${ref.exact_text || ''}`;
+    const title = `${ref.title || ''}`;
+    const provision = parseProvision(text);
+    const withProvision = (documentId) => provision ? `${documentId}#${provision}` : documentId;
+
+    const numberSource = ref.circular_number || text.match(CIRCULAR_NUMBER)?.[0] || title.match(CIRCULAR_NUMBER)?.[0];
+    if (numberSource && CIRCULAR_NUMBER.test(numberSource)) {
+        const documentId = `circular:${normalizeCircularNumber(numberSource).replace(/\s+/g, '')}`;
+        return { kind: 'circular', document_id: documentId, canonical_id: withProvision(documentId) };
+    }
+
+    // "SEBI circular dated February 25, 2020" without a number.
+    const datedCircular = `${text} ${title}`.match(/\bcircular\s+(?:no\.?\s+)?dated\s+([a-z]+\s+\d{1,2},?\s+\d{4})/i);
+    if (datedCircular && !/master circular/i.test(`${text} ${title}`) && isoDate(datedCircular[1])) {
+        const documentId = `circular:dated-${isoDate(datedCircular[1])}`;
+        return { kind: 'circular', document_id: documentId, canonical_id: withProvision(documentId) };
+    }
+
+    const masterText = /master circular/i.test(text) ? text : (/master circular/i.test(title) ? title : null);
+    if (masterText) {
+        const match = masterText.match(MASTER_CIRCULAR);
+        const prefix = masterText.match(/\b([A-Z]{2,})\s+Master Circular/);
+        let subject = match?.[1] || (prefix ? aliases[prefix[1].toLowerCase()] : null);
+        if (!subject && title && title !== masterText) {
+            subject = title.match(MASTER_CIRCULAR)?.[1];
+        }
+        let documentId;
+        if (subject) {
+            documentId = `master-circular:${subjectSlug(subject, aliases)}`;
+        } else {
+            const date = isoDate(text.match(DATED)?.[1]);
+            documentId = date ? `master-circular:dated-${date}` : 'master-circular:unspecified';
+        }
+        return { kind: 'master_circular', document_id: documentId, canonical_id: withProvision(documentId) };
+    }
+
+    const regulations = regulationsId(text) || regulationsId(title);
+    if (regulations) {
+        const documentId = `regulations:${regulations.slug}${regulations.year ? `:${regulations.year}` : ''}`;
+        return { kind: 'regulations', document_id: documentId, canonical_id: withProvision(documentId) };
+    }
+
+    const act = text.match(ACT) || title.match(ACT);
+    if (act) {
+        const documentId = `act:${slugify(act[1])}:${act[2]}`;
+        return { kind: 'act', document_id: documentId, canonical_id: withProvision(documentId) };
+    }
+
+    const documentId = `other:${slugify(title || text) || 'unknown'}`;
+    return { kind: 'other', document_id: documentId, canonical_id: documentId };
+}
+
+function occurrence(ref) {
+    return {
+        exact_text: ref.exact_text ?? null,
+        page_number: ref.page_number ?? null,
+        context: ref.context ?? null,
+        confidence: ref.confidence ?? null,
+        ...(ref.relationship ? {
+            relationship: ref.relationship,
+            affected_provision: ref.affected_provision ?? null,
+            effective_date: ref.effective_date ?? null
+        } : {}),
+        ...(ref.grounding ? { grounding: ref.grounding } : {}),
+        ...(ref.claimed_page_number !== undefined ? { claimed_page_number: ref.claimed_page_number } : {}),
+        ...(ref.source_chunk ? { source_chunk: ref.source_chunk } : {})
+    };
+}
+
+function pickRepresentative(mentions) {
+    // Prefer a local match, then the highest confidence, then the most complete text.
+    return [...mentions].sort((a, b) =>
+        (b.availability_status === 'available_locally') - (a.availability_status === 'available_locally') ||
+        (CONFIDENCE_RANK[b.confidence] || 0) - (CONFIDENCE_RANK[a.confidence] || 0) ||
+        (b.exact_text || '').length - (a.exact_text || '').length
+    )[0];
+}
+
+/**
+ * Assign canonical identities and group repeated mentions. Returns one
+ * reference per canonical_id, in order of first mention, each with
+ * `occurrences` and `mention_count`.
+ */
+export function consolidateReferences(references) {
+    const aliases = learnAliases(references);
+    const groups = new Map();
+
+    for (const ref of references) {
+        const identity = canonicalIdentity(ref, aliases);
+        if (!groups.has(identity.canonical_id)) {
+            groups.set(identity.canonical_id, { identity, mentions: [] });
+        }
+        groups.get(identity.canonical_id).mentions.push(ref);
+    }
+
+    return [...groups.values()].map(({ identity, mentions }) => {
+        const representative = pickRepresentative(mentions);
+        const {
+            grounding, claimed_page_number: claimedPage, source_chunk: sourceChunk,
+            occurrences: previousOccurrences, mention_count: previousCount, ...fields
+        } = representative;
+
+        const detectedBy = [...new Set(mentions.flatMap(mention => mention.detected_by || []))];
+        const occurrences = mentions.flatMap(mention => mention.occurrences || [occurrence(mention)]);
+
+        return {
+            canonical_id: identity.canonical_id,
+            document_id: identity.document_id,
+            canonical_kind: identity.kind,
+            ...fields,
+            circular_number: fields.circular_number || mentions.find(m => m.circular_number)?.circular_number || null,
+            title: fields.title || mentions.find(m => m.title)?.title || null,
+            page_number: occurrences[0]?.page_number ?? fields.page_number ?? null,
+            ...(detectedBy.length > 0 ? { detected_by: detectedBy } : {}),
+            mention_count: occurrences.length,
+            occurrences
+        };
+    });
+}
+
+/**
+ * Unique documents vs unique references vs raw mentions.
+ */
+export function summarizeIdentities(references) {
+    return {
+        unique_documents: new Set(references.map(ref => ref.document_id || ref.canonical_id)).size,
+        unique_references: references.length,
+        total_mentions: references.reduce((sum, ref) => sum + (ref.mention_count || 1), 0)
+    };
+}
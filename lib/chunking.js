@@ -0,0 +1,207 @@
+/**
+ * Page-aware chunking for long circulars and master circulars.
+ *
+ * Pages are packed into chunks under a token budget; a page larger than the
+ * budget is split on line boundaries. Each chunk after the first repeats the
+ * tail of the previous one so references straddling a boundary are seen
+ * whole. Token counts are estimated (~4 characters per token), which is close
+ * enough for budgeting English regulatory text.
+ */
+
+export const DEFAULT_CHUNK_TOKENS = 12000;
+export const DEFAULT_CHUNK_OVERLAP = 300;
+
+const CHARS_PER_TOKEN = 4;
+// Room for the "--- PAGE n ---" marker rendered in front of each segment.
+const MARKER_CHARS = 60;
+
+export function estimateTokens(text) {
+    return Math.ceil(String(text ?? '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split one page into pieces of at most `maxChars`, preferring line breaks.
+ */
+function splitPage(text, maxChars) {
+    if (text.length <= maxChars) {
+        return [text];
+    }
+
+    const pieces = [];
+    let current = '';
+    for (const line of text.split('\n')) {
+        // A single huge line (no breaks) is cut hard.
+        for (let start = 0; start < Math.max(line.length, 1); start += maxChars) {
+            const part = line.slice(start, start + maxChars);
+            if (current && current.length + part.length + 1 > maxChars) {
+                pieces.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${part}` : part;
+        }
+    }
+    if (current) {
+        pieces.push(current);
+    }
+    return pieces;
+}
+
+function tail(text, maxChars) {
+    if (text.length <= maxChars) {
+        return text;
+    }
+    const cut = text.slice(-maxChars);
+    // Start at a word boundary so the overlap doesn't open mid-word.
+    const space = cut.indexOf(' ');
+    return space > 0 && space < cut.length / 2 ? cut.slice(space + 1) : cut;
+}
+
+/**
+ * Pack `pages` into chunks. Returns
+ * `[{ index, start_page, end_page, segments: [{ page_number, text, overlap }] }]`.
+ */
+export function chunkPages(pages, { maxTokens = DEFAULT_CHUNK_TOKENS, overlapTokens = DEFAULT_CHUNK_OVERLAP } = {}) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const overlapChars = Math.min(overlapTokens * CHARS_PER_TOKEN, Math.floor(maxChars / 2));
+
+    const segments = [];
+    pages.forEach((text, i) => {
+        // Tiny budgets leave no room beside the markers; still make progress one character at a time.
+        for (const piece of splitPage(text || '', Math.max(1, maxChars - overlapChars - 2 * MARKER_CHARS))) {
+            segments.push({ page_number: i + 1, text: piece });
+        }
+    });
+
+    const chunks = [];
+    let current = null;
+    let size = 0;
+
+    for (const segment of segments) {
+        if (current && size + segment.text.length + MARKER_CHARS > maxChars) {
+            chunks.push(current);
+            const previous = current.segments[current.segments.length - 1];
+            const overlapText = overlapChars > 0 ? tail(previous.text, overlapChars) : '';
+            current = null;
+            if (overlapText) {
+                current = { segments: [{ page_number: previous.page_number, text: overlapText, overlap: true }] };
+                size = overlapText.length + MARKER_CHARS;
+            }
+        }
+        if (!current) {
+            current = { segments: [] };
+            size = 0;
+        }
+        current.segments.push({ ...segment, overlap: false });
+        size += segment.text.length + MARKER_CHARS;
+    }
+    if (current && current.segments.some(segment => !segment.overlap)) {
+        chunks.push(current);
+    }
+
+    return chunks.map((chunk, index) => ({
+        index: index + 1,
+        start_page: chunk.segments[0].page_number,
+        end_page: chunk.segments[chunk.segments.length - 1].page_number,
+        segments: chunk.segments
+    }));
+}
+
+/**
+ * Render a chunk with the same `--- PAGE n ---` markers as a full document.
+ */
+export function renderChunk(chunk) {
+    let text = '';
+    let lastPage = null;
+    for (const segment of chunk.segments) {
+        if (segment.overlap) {
+            text += `\n--- PAGE ${segment.page_number} (end, repeated from previous part) ---\n${segment.text}\n`;
+        } else if (segment.page_number !== lastPage) {
+            text += `\n--- PAGE ${segment.page_number} ---\n${segment.text}\n`;
+        } else {
+            text += `${segment.text}\n`;
+        }
+        lastPage = segment.page_number;
+    }
+    return text;
+}
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'of', 'to', 'in', 'on', 'by', 'with', 'from', 'under', 'sebi',
+    'circular', 'regarding', 'related', 'provisions', 'certain', 'review', 'towards'
+]);
+
+function words(text) {
+    return String(text ?? '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+function squash(text) {
+    return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Narrow `localCirculars` to the candidates a chunk could plausibly cite:
+ * those whose number or date appears in the text, or whose subject shares
+ * at least half of its distinctive words (minimum two) with the text.
+ */
+export function selectTargets(localCirculars, chunkText) {
+    const squashedText = squash(chunkText);
+    const textWords = new Set(words(chunkText));
+    const selected = {};
+
+    for (const [filename, circular] of Object.entries(localCirculars)) {
+        const number = squash(circular.circular_number);
+        if (number.length > 6 && squashedText.includes(number)) {
+            selected[filename] = circular;
+            continue;
+        }
+
+        if (circular.date && squashedText.includes(squash(circular.date))) {
+            selected[filename] = circular;
+            continue;
+        }
+
+        const subjectWords = [...new Set(words(circular.subject))];
+        const shared = subjectWords.filter(word => textWords.has(word)).length;
+        if (subjectWords.length > 0 && shared >= 2 && shared >= subjectWords.length / 2) {
+            selected[filename] = circular;
+        }
+    }
+
+    return selected;
+}
+
+/**
+ * Merge per-chunk results, dropping mentions seen twice because of chunk
+ * overlap. Each reference records the chunk that produced it.
+ */
+export function mergeChunkResults(chunkResults) {
+    const merged = [];
+    const seen = new Map();
+
+    for (const { chunk, references } of chunkResults) {
+        for (const ref of references) {
+            const key = [
+                squash(ref.exact_text),
+                ref.page_number ?? '',
+                squash(ref.context).slice(0, 120)
+            ].join('|');
+
+            const existing = seen.get(key);
+            if (existing) {
+                if (!existing.source_chunk.also_in.includes(chunk.index)) {
+                    existing.source_chunk.also_in.push(chunk.index);
+                }
+                continue;
+            }
+
+            const withChunk = {
+                ...ref,
+                source_chunk: { index: chunk.index, pages: [chunk.start_page, chunk.end_page], also_in: [] }
+            };
+            seen.set(key, withChunk);
+            merged.push(withChunk);
+        }
+    }
+
+    return merged;
+}
@@ -0,0 +1,211 @@
+/**
+ * Persistent, incremental index of the local circular collection.
+ *
+ * Documents are keyed by SHA-256 of the PDF content and hold the extracted
+ * metadata plus full per-page text. A separate `files` table maps filenames to
+ * hashes (with size/mtime for a cheap change check), so only new or changed
+ * files are re-parsed and deleted files are dropped. Extraction failures are
+ * recorded instead of being lost after a console warning.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { extractPages } from './pdf-text.js';
+
+// Bumped when extracted metadata changes, so older indexes are rebuilt.
+export const INDEX_VERSION = 2;
+
+export function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+export class CircularIndex {
+    /**
+     * `describe(pages)` turns per-page text into circular metadata
+     * (circular_number, subject, date, ...) stored in the index.
+     * `tag(pages, metadata)` adds fields that are recomputed on every read
+     * instead (entity types, department), so editing the taxonomy needs no
+     * re-extraction.
+     */
+    constructor(circularsPath, indexPath, { describe, tag = () => ({}) }) {
+        this.circularsPath = circularsPath;
+        this.indexPath = indexPath;
+        this.describe = describe;
+        this.tag = tag;
+        this.data = null;
+    }
+
+    async load() {
+        if (await fs.pathExists(this.indexPath)) {
+            const data = await fs.readJson(this.indexPath);
+            if (data.version === INDEX_VERSION) {
+                this.data = data;
+                return this.data;
+            }
+        }
+        this.data = { version: INDEX_VERSION, updated_at: null, files: {}, documents: {} };
+        return this.data;
+    }
+
+    async save() {
+        this.data.updated_at = new Date().toISOString();
+        await fs.writeJson(this.indexPath, this.data);
+    }
+
+    async listPdfFiles() {
+        if (!await fs.pathExists(this.circularsPath)) {
+            return [];
+        }
+        const files = await fs.readdir(this.circularsPath);
+        return files.filter(file => file.toLowerCase().endsWith('.pdf')).sort();
+    }
+
+    /**
+     * Compare the index with the directory without modifying anything.
+     */
+    async scan() {
+        if (!this.data) {
+            await this.load();
+        }
+
+        const onDisk = await this.listPdfFiles();
+        const result = { added: [], changed: [], unchanged: [], deleted: [], failed: [] };
+
+        for (const filename of onDisk) {
+            const entry = this.data.files[filename];
+            if (!entry) {
+                result.added.push(filename);
+                continue;
+            }
+
+            const stat = await fs.stat(path.join(this.circularsPath, filename));
+            if (stat.size !== entry.size || stat.mtimeMs !== entry.mtime_ms) {
+                result.changed.push(filename);
+            } else if (entry.status === 'failed') {
+                result.failed.push(filename);
+            } else {
+                result.unchanged.push(filename);
+            }
+        }
+
+        const present = new Set(onDisk);
+        result.deleted = Object.keys(this.data.files).filter(filename => !present.has(filename));
+        return result;
+    }
+
+    async indexFile(filename) {
+        const filePath = path.join(this.circularsPath, filename);
+        const buffer = await fs.readFile(filePath);
+        const stat = await fs.stat(filePath);
+        const hash = hashBuffer(buffer);
+
+        const entry = {
+            hash,
+            size: stat.size,
+            mtime_ms: stat.mtimeMs,
+            indexed_at: new Date().toISOString(),
+            status: 'indexed',
+            error: null
+        };
+
+        // Same content under another name (or an unchanged file whose mtime moved).
+        if (this.data.documents[hash]) {
+            this.data.files[filename] = entry;
+            return { filename, reused: true };
+        }
+
+        try {
+            const { pages, numpages } = await extractPages(buffer);
+            const metadata = this.describe(pages);
+            if (!metadata) {
+                throw new Error('No metadata could be extracted');
+            }
+            this.data.documents[hash] = { ...metadata, page_count: numpages, pages };
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+
+        this.data.files[filename] = entry;
+        return { filename, reused: false, error: entry.error };
+    }
+
+    /**
+     * Bring the index up to date. With `force`, every file is re-extracted.
+     * `onFile(result)` is called for every file that was (re)processed.
+     */
+    async update({ force = false, onFile = () => {} } = {}) {
+        await this.load();
+
+        if (force) {
+            this.data.files = {};
+            this.data.documents = {};
+        }
+
+        const scan = await this.scan();
+        // Failed files are retried on every update; the PDF may have been replaced.
+        for (const filename of [...scan.added, ...scan.changed, ...scan.failed]) {
+            onFile(await this.indexFile(filename));
+        }
+        for (const filename of scan.deleted) {
+            delete this.data.files[filename];
+        }
+        this.pruneDocuments();
+
+        await this.save();
+        return scan;
+    }
+
+    pruneDocuments() {
+        const referenced = new Set(Object.values(this.data.files).map(entry => entry.hash));
+        for (const hash of Object.keys(this.data.documents)) {
+            if (!referenced.has(hash)) {
+                delete this.data.documents[hash];
+            }
+        }
+    }
+
+    failures() {
+        return Object.entries(this.data.files)
+            .filter(([, entry]) => entry.status === 'failed')
+            .map(([filename, entry]) => ({ filename, error: entry.error, indexed_at: entry.indexed_at }));
+    }
+
+    /**
+     * Indexed circulars in the `localCirculars` shape used by the finder
+     * (without the per-page text).
+     */
+    circulars() {
+        const circulars = {};
+        for (const [filename, entry] of Object.entries(this.data.files)) {
+            if (entry.status !== 'indexed') {
+                continue;
+            }
+            const { pages, ...metadata } = this.data.documents[entry.hash];
+            circulars[filename] = {
+                file_path: path.resolve(this.circularsPath, filename),
+                filename,
+                content_hash: entry.hash,
+                ...metadata,
+                ...this.tag(pages, metadata)
+            };
+        }
+        return circulars;
+    }
+
+    /**
+     * Cached per-page text of an indexed circular, by filename.
+     */
+    pages(filename) {
+        const entry = this.data?.files[filename];
+        return entry?.status === 'indexed' ? this.data.documents[entry.hash]?.pages || null : null;
+    }
+
+    /**
+     * Cached per-page text for a PDF, if its current content is indexed.
+     */
+    pagesForBuffer(buffer) {
+        return this.data?.documents[hashBuffer(buffer)]?.pages || null;
+    }
+}
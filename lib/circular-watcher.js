@@ -0,0 +1,267 @@
+/**
+ * Watch mode: ingest and analyze circulars as they are dropped into the
+ * local collection.
+ *
+ * A PDF is only picked up once it has settled: no change events for the
+ * debounce period, the same size and mtime on two consecutive checks, and a
+ * `%%EOF` trailer, so files that are still being copied or downloaded are
+ * left alone. Settled files are then processed one batch at a time:
+ *
+ *   1. the circular index is updated (new, replaced and removed PDFs);
+ *   2. each new or replaced circular is analyzed into the output directory,
+ *      with progress in the same `batch_state.json` as `analyze-all`;
+ *   3. saved analyses whose external references now resolve to one of the new
+ *      circulars are updated in place.
+ *
+ * Everything processed is appended to `watch_log.jsonl` in the output
+ * directory, one JSON object per line.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { BatchAnalyzer } from './batch-analyzer.js';
+import { loadLatestAnalyses } from './analysis-store.js';
+import { writeReports } from './report-writers.js';
+
+export const WATCH_LOG_FILE = 'watch_log.jsonl';
+export const DEFAULT_DEBOUNCE_MS = 2000;
+
+// A settled file without a PDF trailer is checked this many more times before it is indexed anyway.
+const MAX_TRAILER_CHECKS = 5;
+const TRAILER_BYTES = 1024;
+
+function isCandidate(filename) {
+    // Skip hidden and editor/office lock files ("~$...") alongside the PDF check.
+    return filename.toLowerCase().endsWith('.pdf') && !/^[.~]/.test(filename);
+}
+
+async function hasPdfTrailer(filePath, size) {
+    const length = Math.min(size, TRAILER_BYTES);
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { buffer } = await fs.read(handle, Buffer.alloc(length), 0, length, size - length);
+        return buffer.toString('latin1').includes('%%EOF');
+    } finally {
+        await fs.close(handle);
+    }
+}
+
+export class CircularWatcher {
+    constructor(finder, {
+        circularsPath,
+        outputDir = 'analyses',
+        analysisDirs = [outputDir],
+        debounceMs = DEFAULT_DEBOUNCE_MS,
+        formats = [],
+        graphFormats = ['json']
+    }) {
+        this.finder = finder;
+        this.circularsPath = circularsPath;
+        this.outputDir = outputDir;
+        this.analysisDirs = analysisDirs;
+        this.debounceMs = debounceMs;
+        this.formats = formats;
+        this.graphFormats = graphFormats;
+        this.logPath = path.join(outputDir, WATCH_LOG_FILE);
+        this.timers = new Map();
+        this.lastStat = new Map();
+        this.trailerChecks = new Map();
+        this.pending = new Set();
+        this.queue = Promise.resolve();
+        this.watcher = null;
+    }
+
+    async log(event, details = {}) {
+        await fs.ensureDir(this.outputDir);
+        await fs.appendFile(this.logPath, `${JSON.stringify({ timestamp: new Date().toISOString(), event, ...details })}\n`);
+    }
+
+    async start() {
+        this.watcher = fs.watch(this.circularsPath, (eventType, filename) => {
+            if (filename && isCandidate(filename)) {
+                this.schedule(filename);
+            }
+        });
+        this.watcher.on('error', error => {
+            console.log(chalk.red(`❌ Watch error: ${error.message}`));
+        });
+        await this.log('started', { directory: this.circularsPath, debounce_ms: this.debounceMs });
+    }
+
+    async stop() {
+        this.watcher?.close();
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        await this.queue;
+        await this.log('stopped');
+    }
+
+    schedule(filename) {
+        clearTimeout(this.timers.get(filename));
+        this.timers.set(filename, setTimeout(() => {
+            this.timers.delete(filename);
+            this.settle(filename).catch(error => {
+                console.log(chalk.red(`❌ ${filename}: ${error.message}`));
+            });
+        }, this.debounceMs));
+    }
+
+    /**
+     * Queue `filename` once it has stopped changing; reschedule it otherwise.
+     * Removed files are queued straight away so the index drops them.
+     */
+    async settle(filename) {
+        const filePath = path.join(this.circularsPath, filename);
+        if (!await fs.pathExists(filePath)) {
+            this.lastStat.delete(filename);
+            this.enqueue([filename]);
+            return;
+        }
+
+        const stat = await fs.stat(filePath);
+        const signature = `${stat.size}:${stat.mtimeMs}`;
+        if (this.lastStat.get(filename) !== signature) {
+            this.lastStat.set(filename, signature);
+            this.schedule(filename);
+            return;
+        }
+
+        const checks = this.trailerChecks.get(filename) || 0;
+        if (!await hasPdfTrailer(filePath, stat.size) && checks < MAX_TRAILER_CHECKS) {
+            this.trailerChecks.set(filename, checks + 1);
+            this.schedule(filename);
+            return;
+        }
+
+        this.lastStat.delete(filename);
+        this.trailerChecks.delete(filename);
+        this.enqueue([filename]);
+    }
+
+    // Batches run one after another; files settling meanwhile wait in `pending`.
+    exclusive(task) {
+        this.queue = this.queue.then(task).catch(async error => {
+            console.log(chalk.red(`❌ Error: ${error.message}`));
+            await this.log('error', { error: error.message });
+        });
+        return this.queue;
+    }
+
+    enqueue(filenames) {
+        for (const filename of filenames) {
+            this.pending.add(filename);
+        }
+        return this.exclusive(() => this.processPending());
+    }
+
+    /**
+     * Process what the index update at startup found: PDFs dropped while
+     * nothing was watching.
+     */
+    catchUp(scan) {
+        return this.exclusive(() => this.processScan(scan));
+    }
+
+    async processPending() {
+        if (this.pending.size === 0) {
+            return;
+        }
+        const requested = [...this.pending];
+        this.pending.clear();
+
+        console.log(chalk.bold.blue(`\n👀 ${new Date().toLocaleString()}: processing ${requested.join(', ')}`));
+        await this.processScan(await this.finder.loadLocalCirculars());
+    }
+
+    /**
+     * Analyze the circulars an index update added or replaced, re-check older
+     * analyses against them, and record it all in the run log.
+     */
+    async processScan(scan) {
+        for (const filename of scan.deleted) {
+            await this.log('removed', { filename });
+        }
+
+        const failures = new Map(this.finder.index.failures().map(failure => [failure.filename, failure.error]));
+        const ingested = [];
+        // Files that failed before are retried by every index update.
+        for (const filename of [...scan.added, ...scan.changed, ...scan.failed]) {
+            if (failures.has(filename)) {
+                await this.log('index_failed', { filename, error: failures.get(filename) });
+                continue;
+            }
+            const circular = this.finder.localCirculars[filename];
+            ingested.push(filename);
+            await this.log('indexed', {
+                filename,
+                replaced: scan.changed.includes(filename),
+                circular_number: circular.circular_number,
+                subject: circular.subject,
+                entities: circular.entities
+            });
+        }
+        if (ingested.length === 0) {
+            return { analyzed: [], rechecked: [] };
+        }
+
+        const batch = new BatchAnalyzer(this.finder, { outputDir: this.outputDir, concurrency: 1, formats: this.formats });
+        await batch.run(ingested, { force: true });
+        const analyzed = [];
+        for (const filename of ingested) {
+            const entry = batch.state.files[filename];
+            if (entry.status === 'done') {
+                analyzed.push(filename);
+                await this.log('analyzed', { filename, output_file: entry.output_file, references: entry.references });
+            } else {
+                await this.log('analysis_failed', { filename, error: entry.error, partial_file: entry.partial_file });
+            }
+        }
+
+        const rechecked = await this.recheck(ingested);
+        if (analyzed.length > 0 || rechecked.length > 0) {
+            const { written } = await batch.writeGraph(this.graphFormats);
+            for (const file of written) {
+                console.log(chalk.green(`   💾 ${file}`));
+            }
+        }
+        return { analyzed, rechecked };
+    }
+
+    /**
+     * Update saved analyses whose external references resolve to one of
+     * `filenames`. Returns the analysis files that changed.
+     */
+    async recheck(filenames) {
+        const rechecked = [];
+        for (const analysis of await loadLatestAnalyses(this.analysisDirs)) {
+            if (filenames.includes(analysis.source_file)) {
+                continue;
+            }
+
+            const { analysis_file: analysisFile, ...saved } = analysis;
+            const resolved = this.finder.resolveNewlyAvailable(saved, filenames);
+            if (resolved.length === 0) {
+                continue;
+            }
+
+            await fs.writeJson(analysisFile, saved, { spaces: 2 });
+            await writeReports(saved, {
+                formats: this.formats,
+                outputDir: path.dirname(analysisFile),
+                baseName: path.parse(analysisFile).name
+            });
+            rechecked.push(analysisFile);
+
+            console.log(chalk.green(`  🔗 ${analysis.source_file}: ${resolved.length} external references now available locally`));
+            await this.log('rechecked', {
+                filename: analysis.source_file,
+                analysis_file: analysisFile,
+                resolved: resolved.map(ref => ({ exact_text: ref.exact_text, matched_target: ref.matched_target }))
+            });
+        }
+        return rechecked;
+    }
+}
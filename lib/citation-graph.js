@@ -0,0 +1,246 @@
+/**
+ * Citation graph for the local circular collection.
+ *
+ * Circulars are nodes and references are edges. Local circulars are keyed by
+ * filename; documents we do not hold are keyed by `external:<document_id>`
+ * (or number/title for analyses saved before canonical ids) so that every
+ * circular citing the same external document shares one node.
+ */
+
+export const GRAPH_FORMATS = ['json', 'dot', 'graphml'];
+
+function normalizeKey(value) {
+    return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+export function externalNodeId(ref) {
+    if (ref.document_id) {
+        return `external:${ref.document_id}`;
+    }
+    const key = ref.circular_number || ref.title || ref.exact_text || 'unknown';
+    return `external:${normalizeKey(key)}`;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeDot(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ');
+}
+
+export class CitationGraph {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = new Map();
+    }
+
+    addNode(id, attributes) {
+        const existing = this.nodes.get(id);
+        this.nodes.set(id, { id, ...existing, ...attributes });
+        return this.nodes.get(id);
+    }
+
+    addEdge(source, target, ref) {
+        const key = `${source}\u0000${target}`;
+        if (!this.edges.has(key)) {
+            this.edges.set(key, {
+                source,
+                target,
+                reference_types: [],
+                relationships: [],
+                mentions: []
+            });
+        }
+
+        const edge = this.edges.get(key);
+        const refType = ref.reference_type || 'other';
+        if (!edge.reference_types.includes(refType)) {
+            edge.reference_types.push(refType);
+        }
+        for (const mention of ref.occurrences || [ref]) {
+            const relationship = mention.relationship || 'refers_to';
+            if (relationship !== 'refers_to' && !edge.relationships.includes(relationship)) {
+                edge.relationships.push(relationship);
+            }
+            edge.mentions.push({
+                exact_text: mention.exact_text || null,
+                page_number: mention.page_number ?? null,
+                context: mention.context || null,
+                confidence: mention.confidence || null,
+                relationship: mention.relationship || null,
+                affected_provision: mention.affected_provision || null,
+                effective_date: mention.effective_date || null
+            });
+        }
+        return edge;
+    }
+
+    /**
+     * Build a graph from saved analyses (the JSON written by `saveResults`).
+     * `localCirculars` seeds nodes for circulars that have not been analyzed yet.
+     */
+    static fromAnalyses(analyses, localCirculars = {}) {
+        const graph = new CitationGraph();
+
+        for (const [filename, circular] of Object.entries(localCirculars)) {
+            graph.addNode(filename, {
+                kind: 'local',
+                label: circular.subject || filename,
+                circular_number: circular.circular_number || null,
+                date: circular.date || null,
+                analyzed: false
+            });
+        }
+
+        for (const analysis of analyses) {
+            const source = analysis.source_file;
+            graph.addNode(source, {
+                kind: 'local',
+                label: graph.nodes.get(source)?.label || source,
+                analyzed: true,
+                analysis_file: analysis.analysis_file || null
+            });
+
+            for (const ref of analysis.all_references || []) {
+                let target;
+                if (ref.availability_status === 'available_locally' && ref.local_file?.filename) {
+                    target = ref.local_file.filename;
+                    if (!graph.nodes.has(target)) {
+                        graph.addNode(target, {
+                            kind: 'local',
+                            label: ref.local_file.subject || target,
+                            circular_number: ref.local_file.circular_number || null,
+                            date: ref.local_file.date || null,
+                            analyzed: false
+                        });
+                    }
+                } else {
+                    target = externalNodeId(ref);
+                    if (!graph.nodes.has(target)) {
+                        graph.addNode(target, {
+                            kind: 'external',
+                            label: ref.title || ref.circular_number || ref.exact_text || target,
+                            circular_number: ref.circular_number || null
+                        });
+                    }
+                }
+
+                if (target !== source) {
+                    graph.addEdge(source, target, ref);
+                }
+            }
+        }
+
+        return graph;
+    }
+
+    static fromJSON(data) {
+        const graph = new CitationGraph();
+        for (const node of data.nodes || []) {
+            graph.addNode(node.id, node);
+        }
+        for (const edge of data.edges || []) {
+            graph.edges.set(`${edge.source}\u0000${edge.target}`, { ...edge });
+        }
+        return graph;
+    }
+
+    outgoing(id) {
+        return [...this.edges.values()].filter(edge => edge.source === id);
+    }
+
+    incoming(id) {
+        return [...this.edges.values()].filter(edge => edge.target === id);
+    }
+
+    toJSON() {
+        const nodes = [...this.nodes.values()];
+        const edges = [...this.edges.values()];
+        return {
+            generated_at: new Date().toISOString(),
+            summary: {
+                nodes: nodes.length,
+                local_nodes: nodes.filter(n => n.kind === 'local').length,
+                external_nodes: nodes.filter(n => n.kind === 'external').length,
+                edges: edges.length,
+                mentions: edges.reduce((sum, edge) => sum + edge.mentions.length, 0)
+            },
+            nodes,
+            edges
+        };
+    }
+
+    toDot() {
+        const lines = ['digraph citations {', '    rankdir=LR;', '    node [fontname="Helvetica"];'];
+
+        for (const node of this.nodes.values()) {
+            const shape = node.kind === 'external' ? 'ellipse' : 'box';
+            const style = node.kind === 'external' ? 'dashed' : 'solid';
+            lines.push(`    "${escapeDot(node.id)}" [label="${escapeDot(node.label)}", shape=${shape}, style=${style}];`);
+        }
+
+        for (const edge of this.edges.values()) {
+            const relationships = edge.relationships?.length ? ` · ${edge.relationships.join(', ')}` : '';
+            const label = `${edge.reference_types.join(', ')}${relationships} (${edge.mentions.length})`;
+            lines.push(`    "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}" [label="${escapeDot(label)}"];`);
+        }
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    toGraphML() {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+            '  <key id="kind" for="node" attr.name="kind" attr.type="string"/>',
+            '  <key id="circular_number" for="node" attr.name="circular_number" attr.type="string"/>',
+            '  <key id="reference_types" for="edge" attr.name="reference_types" attr.type="string"/>',
+            '  <key id="relationships" for="edge" attr.name="relationships" attr.type="string"/>',
+            '  <key id="mentions" for="edge" attr.name="mentions" attr.type="int"/>',
+            '  <graph id="citations" edgedefault="directed">'
+        ];
+
+        for (const node of this.nodes.values()) {
+            lines.push(`    <node id="${escapeXml(node.id)}">`);
+            lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+            lines.push(`      <data key="kind">${escapeXml(node.kind)}</data>`);
+            if (node.circular_number) {
+                lines.push(`      <data key="circular_number">${escapeXml(node.circular_number)}</data>`);
+            }
+            lines.push('    </node>');
+        }
+
+        let index = 0;
+        for (const edge of this.edges.values()) {
+            lines.push(`    <edge id="e${index++}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+            lines.push(`      <data key="reference_types">${escapeXml(edge.reference_types.join(','))}</data>`);
+            lines.push(`      <data key="relationships">${escapeXml((edge.relationships || []).join(','))}</data>`);
+            lines.push(`      <data key="mentions">${edge.mentions.length}</data>`);
+            lines.push('    </edge>');
+        }
+
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    serialize(format) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(this.toJSON(), null, 2);
+            case 'dot':
+                return this.toDot();
+            case 'graphml':
+                return this.toGraphML();
+            default:
+                throw new Error(`Unsupported graph format: ${format}`);
+        }
+    }
+}
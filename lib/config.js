@@ -0,0 +1,123 @@
+/**
+ * LLM configuration.
+ *
+ * Settings are resolved in increasing order of precedence: built-in defaults,
+ * the JSON config file (`sebi-finder.config.json` or `--config`), environment
+ * variables (.env.local), then CLI flags.
+ *
+ * API keys in the config file are kept per provider (`apiKeys`), so a key
+ * written for one provider is never sent to another's endpoint.
+ */
+
+import fs from 'fs-extra';
+
+export const DEFAULT_CONFIG_FILE = 'sebi-finder.config.json';
+
+const DEFAULTS = {
+    provider: 'gemini',
+    model: null,
+    baseUrl: null,
+    temperature: 0.1,
+    timeout: 120000,
+    replayDir: null,
+    recordDir: null
+};
+
+// Numeric settings from the environment; a typo is an error rather than NaN.
+function envNumber(env, name, { integer = false, min = 0 } = {}) {
+    if (env[name] === undefined || env[name] === '') {
+        return undefined;
+    }
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+        throw new Error(`${name} must be ${integer ? 'an integer' : 'a number'} of at least ${min} (got '${env[name]}')`);
+    }
+    return value;
+}
+
+function fromEnv(env) {
+    const provider = env.LLM_PROVIDER || undefined;
+    return {
+        provider,
+        model: env.LLM_MODEL,
+        baseUrl: env.LLM_BASE_URL,
+        temperature: envNumber(env, 'LLM_TEMPERATURE'),
+        timeout: envNumber(env, 'LLM_TIMEOUT_MS', { integer: true, min: 1 }),
+        replayDir: env.LLM_REPLAY_DIR
+    };
+}
+
+function pickDefined(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// A bare `apiKey` in the file belongs to the provider the file names (gemini when it names none).
+function fileApiKey(provider, fileConfig) {
+    const keys = fileConfig.apiKeys || {};
+    if (keys[provider]) {
+        return keys[provider];
+    }
+    return provider === (fileConfig.provider || DEFAULTS.provider) ? fileConfig.apiKey : undefined;
+}
+
+function apiKeyFor(provider, env, fileConfig) {
+    if (provider === 'gemini') {
+        return env.GEMINI_API_KEY || fileApiKey(provider, fileConfig);
+    }
+    if (provider === 'openai-compatible') {
+        return env.LLM_API_KEY || env.OPENAI_API_KEY || fileApiKey(provider, fileConfig);
+    }
+    return env.LLM_API_KEY || fileApiKey(provider, fileConfig);
+}
+
+/**
+ * Resolve the LLM config from CLI options (`provider`, `model`, `baseUrl`,
+ * `temperature`, `timeout`, `replayDir`, `recordDir`, `config`).
+ */
+export async function loadConfig(cliOptions = {}, env = process.env) {
+    const configFile = cliOptions.config || DEFAULT_CONFIG_FILE;
+    let fileConfig = {};
+
+    if (await fs.pathExists(configFile)) {
+        fileConfig = (await fs.readJson(configFile)).llm || {};
+    } else if (cliOptions.config) {
+        throw new Error(`Config file not found: ${cliOptions.config}`);
+    }
+
+    const { apiKey, apiKeys, ...fileSettings } = fileConfig;
+    const config = {
+        ...DEFAULTS,
+        ...pickDefined(fileSettings),
+        ...pickDefined(fromEnv(env)),
+        ...pickDefined({
+            provider: cliOptions.provider,
+            model: cliOptions.model,
+            baseUrl: cliOptions.baseUrl,
+            temperature: cliOptions.temperature,
+            timeout: cliOptions.timeout,
+            replayDir: cliOptions.replayDir,
+            recordDir: cliOptions.recordDir
+        })
+    };
+
+    // The file may name a different provider than the CLI; a model or URL
+    // written for one provider should not leak into another.
+    if (cliOptions.provider && fileConfig.provider && cliOptions.provider !== fileConfig.provider) {
+        if (!cliOptions.model && !env.LLM_MODEL) {
+            config.model = null;
+        }
+        if (!cliOptions.baseUrl && !env.LLM_BASE_URL) {
+            config.baseUrl = null;
+        }
+    }
+
+    if (!Number.isFinite(config.temperature) || config.temperature < 0) {
+        throw new Error(`temperature must be a number of at least 0 (got '${config.temperature}')`);
+    }
+    if (!Number.isInteger(config.timeout) || config.timeout < 1) {
+        throw new Error(`timeout must be a positive integer of milliseconds (got '${config.timeout}')`);
+    }
+
+    config.apiKey = apiKeyFor(config.provider, env, fileConfig);
+    return config;
+}
@@ -0,0 +1,206 @@
+/**
+ * Extraction quality against hand-verified gold annotations.
+ *
+ * A gold file (`<pdf name>.json` in the gold directory) lists the references a
+ * circular really contains, one per canonical reference, with the pages it is
+ * mentioned on and the local circular it should link to (or null). Gold files
+ * are seeded from saved analyses and then corrected by hand; `verified: true`
+ * marks the ones a person has checked.
+ *
+ * Predicted references are paired with gold ones by canonical identity (see
+ * `pairReferences`). Precision is counted by the predicted reference_type,
+ * recall by the gold one. Page and local-match accuracy are measured over the
+ * paired references only, so they do not double-count misses.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { consolidateReferences } from './canonical-references.js';
+import { pairReferences } from './analysis-diff.js';
+
+export const GOLD_VERSION = 1;
+
+// Overall metrics a baseline comparison checks.
+export const GATED_METRICS = ['precision', 'recall', 'f1', 'page_accuracy', 'local_match_accuracy'];
+
+function pages(ref) {
+    if (Array.isArray(ref.pages)) {
+        return [...ref.pages].sort((a, b) => a - b);
+    }
+    return [...new Set((ref.occurrences || [ref]).map(mention => mention.page_number).filter(page => page != null))]
+        .sort((a, b) => a - b);
+}
+
+function localFile(ref) {
+    return ref.local_file?.filename ?? ref.local_file ?? null;
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? Number((numerator / denominator).toFixed(4)) : null;
+}
+
+function f1Score(precision, recall) {
+    if (precision === null || recall === null) {
+        // Nothing predicted (or no gold) on one side: only a zero is meaningful.
+        return precision === 0 || recall === 0 ? 0 : null;
+    }
+    return precision + recall > 0 ? Number((2 * precision * recall / (precision + recall)).toFixed(4)) : 0;
+}
+
+/**
+ * A gold file for one saved analysis, to be checked by hand before use.
+ */
+export function goldFromAnalysis(analysis, { seededFrom = null } = {}) {
+    if (!Array.isArray(analysis?.all_references)) {
+        throw new Error(`${seededFrom || 'analysis'} is not a saved analysis (no all_references)`);
+    }
+
+    // Older analyses stored every mention separately; group them like current ones.
+    const references = consolidateReferences(analysis.all_references);
+    return {
+        gold_version: GOLD_VERSION,
+        source_file: analysis.source_file,
+        seeded_from: seededFrom,
+        verified: false,
+        references: references.map(ref => ({
+            canonical_id: ref.canonical_id,
+            exact_text: ref.exact_text,
+            reference_type: ref.reference_type || 'other',
+            pages: pages(ref),
+            local_file: localFile(ref)
+        }))
+    };
+}
+
+/**
+ * Read every gold file in `dir`, sorted by source file.
+ */
+export async function loadGold(dir) {
+    if (!await fs.pathExists(dir)) {
+        throw new Error(`Gold directory not found: ${dir}`);
+    }
+
+    const gold = [];
+    for (const entry of (await fs.readdir(dir)).filter(name => name.endsWith('.json')).sort()) {
+        const file = path.join(dir, entry);
+        const data = await fs.readJson(file);
+        if (data.gold_version !== GOLD_VERSION || !data.source_file || !Array.isArray(data.references)) {
+            throw new Error(`${file} is not a version ${GOLD_VERSION} gold file (expected gold_version, source_file and references)`);
+        }
+        gold.push({ ...data, gold_file: file });
+    }
+    return gold;
+}
+
+function describe(ref) {
+    return {
+        canonical_id: ref.canonical_id || null,
+        exact_text: ref.exact_text,
+        reference_type: ref.reference_type || 'other',
+        pages: pages(ref)
+    };
+}
+
+/**
+ * Score the references predicted for one circular against its gold file.
+ */
+export function scoreDocument(gold, predicted) {
+    const { pairs, onlyA: missed, onlyB: spurious } = pairReferences(gold.references, predicted);
+
+    const pagesCorrect = pairs.filter(([expected, actual]) => pages(expected).join(',') === pages(actual).join(','));
+    const localCorrect = pairs.filter(([expected, actual]) => localFile(expected) === localFile(actual));
+    const typeCorrect = pairs.filter(([expected, actual]) => expected.reference_type === (actual.reference_type || 'other'));
+
+    return {
+        source_file: gold.source_file,
+        verified: gold.verified === true,
+        error: null,
+        gold: gold.references.length,
+        predicted: predicted.length,
+        pairs: pairs.map(([expected, actual]) => ({ expected: describe(expected), actual: describe(actual) })),
+        counts: {
+            matched: pairs.length,
+            pages_correct: pagesCorrect.length,
+            local_correct: localCorrect.length,
+            type_correct: typeCorrect.length
+        },
+        missed: missed.map(describe),
+        spurious: spurious.map(describe),
+        page_errors: pairs.filter(pair => !pagesCorrect.includes(pair)).map(([expected, actual]) => ({
+            exact_text: expected.exact_text, expected: pages(expected), actual: pages(actual)
+        })),
+        local_errors: pairs.filter(pair => !localCorrect.includes(pair)).map(([expected, actual]) => ({
+            exact_text: expected.exact_text, expected: localFile(expected), actual: localFile(actual)
+        }))
+    };
+}
+
+/**
+ * The score of a circular whose pipeline run failed: every gold reference missed.
+ */
+export function failedDocument(gold, error) {
+    return {
+        ...scoreDocument(gold, []),
+        error: error.message
+    };
+}
+
+/**
+ * Combine per-document scores into overall and per-reference_type metrics.
+ * A document that failed to run has every gold reference in `missed`.
+ */
+export function summarizeEvaluation(documents) {
+    const byType = {};
+    const tally = type => (byType[type || 'other'] = byType[type || 'other'] || { matched_gold: 0, matched_predicted: 0, fp: 0, fn: 0 });
+    const totals = { matched: 0, fp: 0, fn: 0, pages_correct: 0, local_correct: 0, type_correct: 0 };
+
+    for (const document of documents) {
+        for (const { expected, actual } of document.pairs) {
+            tally(expected.reference_type).matched_gold++;
+            tally(actual.reference_type).matched_predicted++;
+        }
+        document.spurious.forEach(ref => tally(ref.reference_type).fp++);
+        document.missed.forEach(ref => tally(ref.reference_type).fn++);
+
+        totals.matched += document.counts.matched;
+        totals.fp += document.spurious.length;
+        totals.fn += document.missed.length;
+        totals.pages_correct += document.counts.pages_correct;
+        totals.local_correct += document.counts.local_correct;
+        totals.type_correct += document.counts.type_correct;
+    }
+
+    const byReferenceType = Object.fromEntries(Object.keys(byType).sort().map(type => {
+        const { matched_gold: matchedGold, matched_predicted: matchedPredicted, fp, fn } = byType[type];
+        const precision = ratio(matchedPredicted, matchedPredicted + fp);
+        const recall = ratio(matchedGold, matchedGold + fn);
+        return [type, { gold: matchedGold + fn, predicted: matchedPredicted + fp, precision, recall, f1: f1Score(precision, recall) }];
+    }));
+
+    const precision = ratio(totals.matched, totals.matched + totals.fp);
+    const recall = ratio(totals.matched, totals.matched + totals.fn);
+    return {
+        overall: {
+            gold: totals.matched + totals.fn,
+            predicted: totals.matched + totals.fp,
+            matched: totals.matched,
+            precision,
+            recall,
+            f1: f1Score(precision, recall),
+            page_accuracy: ratio(totals.pages_correct, totals.matched),
+            local_match_accuracy: ratio(totals.local_correct, totals.matched),
+            reference_type_accuracy: ratio(totals.type_correct, totals.matched)
+        },
+        by_reference_type: byReferenceType
+    };
+}
+
+/**
+ * Overall metrics that dropped more than `tolerance` below a saved report.
+ */
+export function compareToBaseline(report, baseline, tolerance = 0) {
+    return GATED_METRICS
+        .filter(metric => typeof baseline.overall?.[metric] === 'number' && typeof report.overall[metric] === 'number')
+        .filter(metric => report.overall[metric] < baseline.overall[metric] - tolerance)
+        .map(metric => ({ metric, baseline: baseline.overall[metric], current: report.overall[metric] }));
+}
@@ -0,0 +1,190 @@
+/**
+ * Registry of external documents: the Acts, regulations and circulars that
+ * are cited but are not in the local collection.
+ *
+ * The registry file (`sebi-external-documents.json`) is maintained by hand.
+ * Each document has a canonical title, any aliases it is cited by, an
+ * optional circular number and issue date, where our copy lives and whether
+ * it has been obtained. Titles, aliases and numbers are run through the same
+ * canonical identity as the references themselves, so "SEBI Act, 1992" and
+ * "Section 11(1) of the Securities and Exchange Board of India Act, 1992"
+ * both resolve to the same entry.
+ *
+ * External references resolve to `obtained_external` when the registry says
+ * we hold a copy and to `missing` otherwise, registered or not.
+ */
+
+import fs from 'fs-extra';
+import { canonicalIdentity, isoDate, learnAliases } from './canonical-references.js';
+
+export const REGISTRY_VERSION = 1;
+
+// `external_reference` is what analyses saved before the registry existed use.
+export const EXTERNAL_STATUSES = ['obtained_external', 'missing', 'external_reference'];
+
+// Kinds of unregistered documents worth acquiring; "other" is mostly websites and generic phrases.
+const ACQUIRABLE_KINDS = ['circular', 'master_circular', 'regulations', 'act'];
+
+const cache = new Map();
+
+export function isExternal(ref) {
+    return EXTERNAL_STATUSES.includes(ref.availability_status);
+}
+
+// The first id is the one the document is listed under.
+function documentIds(document) {
+    const ids = [document.title, ...document.aliases]
+        .map(name => canonicalIdentity({ exact_text: name, title: name }).document_id);
+    if (document.number) {
+        ids.unshift(canonicalIdentity({ circular_number: document.number }).document_id);
+        // A bare "circular dated ..." then finds the numbered circular of that date.
+        if (document.date) {
+            ids.push(`circular:dated-${document.date}`);
+        }
+    }
+    return [...new Set(ids)];
+}
+
+/**
+ * Validate raw registry data and index its documents by document_id.
+ */
+export function compileRegistry(data, source = 'registry') {
+    if (data?.version !== REGISTRY_VERSION || !Array.isArray(data.documents)) {
+        throw new Error(`${source} is not a version ${REGISTRY_VERSION} document registry (expected { "version": ${REGISTRY_VERSION}, "documents": [...] })`);
+    }
+
+    const byDocumentId = new Map();
+    const ids = new Set();
+    const documents = data.documents.map((entry, i) => {
+        if (!entry.id || !entry.title) {
+            throw new Error(`${source}: document ${i + 1} needs an id and a title`);
+        }
+        if (ids.has(entry.id)) {
+            throw new Error(`${source}: duplicate document id '${entry.id}'`);
+        }
+        ids.add(entry.id);
+
+        const date = entry.date ? isoDate(entry.date) || entry.date : null;
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error(`${source}: '${entry.id}' has an unreadable date '${entry.date}' (use YYYY-MM-DD)`);
+        }
+
+        const document = {
+            id: entry.id,
+            title: entry.title,
+            aliases: entry.aliases || [],
+            number: entry.number || null,
+            date,
+            location: entry.location || null,
+            obtained: entry.obtained === true
+        };
+        document.document_ids = documentIds(document);
+
+        for (const documentId of document.document_ids) {
+            const other = byDocumentId.get(documentId);
+            if (other) {
+                throw new Error(`${source}: '${other.id}' and '${document.id}' both resolve to ${documentId}`);
+            }
+            byDocumentId.set(documentId, document);
+        }
+        return document;
+    });
+
+    return { version: data.version, documents, byDocumentId };
+}
+
+/**
+ * Load and compile a registry file, cached per path. A missing file is an
+ * empty registry: every external reference is then `missing`.
+ */
+export function loadRegistry(file) {
+    if (!cache.has(file)) {
+        cache.set(file, fs.pathExistsSync(file)
+            ? compileRegistry(fs.readJsonSync(file), file)
+            : compileRegistry({ version: REGISTRY_VERSION, documents: [] }, file));
+    }
+    return cache.get(file);
+}
+
+/**
+ * Look up a reference that is not in the local collection:
+ * `{ status, document_id, document }`, with `document` the registry entry
+ * (or null when the document is not registered).
+ */
+export function resolveExternal(ref, registry, aliases) {
+    const documentId = ref.document_id || canonicalIdentity(ref, aliases).document_id;
+    const document = registry.byDocumentId.get(documentId) || null;
+    return {
+        status: document?.obtained ? 'obtained_external' : 'missing',
+        document_id: documentId,
+        document
+    };
+}
+
+/**
+ * Rank the documents cited by `analyses` that we do not hold, by how many
+ * circulars cite them and then by mentions. Availability is re-resolved
+ * against the current registry, so analyses saved before a document was
+ * obtained (or before the registry existed) are counted correctly.
+ */
+export function acquisitionList(analyses, registry) {
+    const missing = new Map();
+    let obtained = 0;
+
+    for (const analysis of analyses) {
+        const references = analysis.all_references || [];
+        const aliases = learnAliases(references.flatMap(ref => [ref, ...(ref.occurrences || [])]));
+
+        for (const ref of references.filter(isExternal)) {
+            const { status, document_id: documentId, document } = resolveExternal(ref, registry, aliases);
+            if (status === 'obtained_external') {
+                obtained++;
+                continue;
+            }
+            const kind = ref.canonical_kind || canonicalIdentity(ref, aliases).kind;
+            // "the Master Circular" alone does not say which one to get.
+            if (!document && (!ACQUIRABLE_KINDS.includes(kind) || documentId.endsWith(':unspecified'))) {
+                continue;
+            }
+
+            const key = document ? `registry:${document.id}` : documentId;
+            if (!missing.has(key)) {
+                missing.set(key, {
+                    registry_id: document?.id || null,
+                    document_id: document ? document.document_ids[0] : documentId,
+                    title: document?.title || ref.title || ref.exact_text,
+                    number: document?.number || ref.circular_number || null,
+                    date: document?.date || isoDate(ref.dated) || null,
+                    kind,
+                    registered: Boolean(document),
+                    cited_by: new Set(),
+                    mentions: 0,
+                    cited_as: new Set()
+                });
+            }
+            const entry = missing.get(key);
+            entry.cited_by.add(analysis.source_file);
+            entry.mentions += ref.mention_count || 1;
+            entry.cited_as.add(ref.exact_text);
+        }
+    }
+
+    const documents = [...missing.values()]
+        .map(entry => ({
+            ...entry,
+            citing_circulars: entry.cited_by.size,
+            cited_by: [...entry.cited_by].sort(),
+            cited_as: [...entry.cited_as]
+        }))
+        .sort((a, b) => b.citing_circulars - a.citing_circulars || b.mentions - a.mentions || a.title.localeCompare(b.title));
+
+    return {
+        summary: {
+            analyses: analyses.length,
+            missing_documents: documents.length,
+            unregistered: documents.filter(document => !document.registered).length,
+            obtained_references: obtained
+        },
+        documents
+    };
+}
@@ -0,0 +1,169 @@
+/**
+ * Grounding check for AI-reported references.
+ *
+ * Every reference's `exact_text` is looked up on the page the model claimed,
+ * then on every other page. Matching ignores case, whitespace, punctuation
+ * and line-break hyphenation; if no exact match exists, a token window match
+ * tolerates small OCR/extraction differences. Text that runs across a page
+ * break is then looked for in the end of each page joined with the start of
+ * the next. References that cannot be found anywhere are marked
+ * `grounded: false` (possibly hallucinated).
+ */
+
+export const FUZZY_THRESHOLD = 0.85;
+
+// Lines skipped at the foot of a page and the head of the next: running headers, footers, page numbers.
+const PAGE_BREAK_SKIP_LINES = 2;
+
+function dehyphenate(text) {
+    return String(text ?? '').replace(/(\w)-\s*\n\s*(\w)/g, '$1$2');
+}
+
+export function comparableText(text) {
+    return dehyphenate(text).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function tokens(text) {
+    return dehyphenate(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Best fraction of `needle` tokens found (in any order) within a window of
+ * the same length over `haystack` tokens.
+ */
+function windowScore(needleTokens, haystackTokens) {
+    if (needleTokens.length === 0 || haystackTokens.length === 0) {
+        return 0;
+    }
+
+    const needed = new Map();
+    for (const token of needleTokens) {
+        needed.set(token, (needed.get(token) || 0) + 1);
+    }
+
+    const size = Math.min(needleTokens.length, haystackTokens.length);
+    const window = new Map();
+    let matched = 0;
+    let best = 0;
+
+    const add = (token, delta) => {
+        const before = Math.min(window.get(token) || 0, needed.get(token) || 0);
+        window.set(token, (window.get(token) || 0) + delta);
+        const after = Math.min(window.get(token), needed.get(token) || 0);
+        matched += after - before;
+    };
+
+    for (let i = 0; i < haystackTokens.length; i++) {
+        add(haystackTokens[i], 1);
+        if (i >= size) {
+            add(haystackTokens[i - size], -1);
+        }
+        best = Math.max(best, matched / needleTokens.length);
+    }
+
+    return best;
+}
+
+function matchOnPage(needle, page) {
+    const comparableNeedle = comparableText(needle);
+    if (comparableNeedle && page.comparable.includes(comparableNeedle)) {
+        return { method: 'exact', score: 1 };
+    }
+
+    const needleTokens = tokens(needle);
+    // Very short strings ("SEBI Act") match too easily to be fuzzy-grounded.
+    if (needleTokens.length < 3) {
+        return null;
+    }
+    const score = windowScore(needleTokens, page.tokens);
+    return score >= FUZZY_THRESHOLD ? { method: 'fuzzy', score: Math.round(score * 100) / 100 } : null;
+}
+
+/**
+ * Look for `needle` across the break between each page and the next. Only
+ * the end of one page and the start of the next are joined, so the match
+ * must really span the break; a few lines either side of the break may be
+ * dropped to step over headers and footers.
+ */
+function matchAcrossPages(needle, pages) {
+    const comparableNeedle = comparableText(needle);
+    const length = comparableNeedle.length;
+    const lines = pages.map(text => String(text ?? '').split('\n').filter(line => line.trim()));
+
+    for (let i = 0; i + 1 < pages.length; i++) {
+        for (let foot = 0; foot <= PAGE_BREAK_SKIP_LINES; foot++) {
+            for (let head = 0; head <= PAGE_BREAK_SKIP_LINES; head++) {
+                const end = comparableText(lines[i].slice(0, lines[i].length - foot).join('\n')).slice(-length);
+                const start = comparableText(lines[i + 1].slice(head).join('\n')).slice(0, length);
+                if (end && start && (end + start).includes(comparableNeedle)) {
+                    return { method: 'exact', score: 1, pages: [i + 1, i + 2] };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Verify each reference against `pages` (array of page texts). Returns new
+ * reference objects with `grounded`, `grounding` and a corrected
+ * `page_number`; the model's original page is kept in `claimed_page_number`
+ * when it differs.
+ */
+export function groundReferences(references, pages) {
+    const prepared = pages.map(text => ({ comparable: comparableText(text), tokens: tokens(text) }));
+
+    return references.map(ref => {
+        const claimed = Number.parseInt(ref.page_number, 10);
+        const needle = ref.exact_text || '';
+        const grounded = { ...ref };
+
+        let found = null;
+        let foundPage = null;
+
+        if (claimed >= 1 && claimed <= prepared.length) {
+            found = matchOnPage(needle, prepared[claimed - 1]);
+            foundPage = found ? claimed : null;
+        }
+
+        if (!found || found.method === 'fuzzy') {
+            // An exact hit elsewhere beats a fuzzy hit on the claimed page.
+            for (let i = 0; i < prepared.length; i++) {
+                if (i + 1 === claimed) {
+                    continue;
+                }
+                const candidate = matchOnPage(needle, prepared[i]);
+                if (candidate && (!found || candidate.score > found.score)) {
+                    found = candidate;
+                    foundPage = i + 1;
+                    if (candidate.method === 'exact') {
+                        break;
+                    }
+                }
+            }
+        }
+
+        let spansPages = null;
+        if (!found && comparableText(needle)) {
+            found = matchAcrossPages(needle, pages);
+            if (found) {
+                spansPages = found.pages;
+                // Keep the claimed page when it is either side of the break.
+                foundPage = spansPages.includes(claimed) ? claimed : spansPages[0];
+            }
+        }
+
+        grounded.grounded = Boolean(found);
+        grounded.grounding = found ? { method: found.method, score: found.score } : { method: 'none', score: 0 };
+        if (spansPages) {
+            grounded.grounding.spans_pages = spansPages;
+        }
+
+        if (found && foundPage !== claimed) {
+            grounded.claimed_page_number = ref.page_number ?? null;
+            grounded.page_number = foundPage;
+        }
+
+        return grounded;
+    });
+}
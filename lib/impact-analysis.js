@@ -0,0 +1,158 @@
+/**
+ * Impact analysis over the citation graph.
+ *
+ * `impact` walks edges backwards ("who relies on X, directly or through other
+ * circulars?") and `depends-on` walks them forwards ("what does X rely on?").
+ * Each reached node carries the shortest chain of edges that leads to it so
+ * the report can show page/context evidence for every hop.
+ */
+
+function tokenize(value) {
+    return String(value ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9/]+/g, ' ')
+        .split(' ')
+        .filter(Boolean);
+}
+
+function normalizeNumber(value) {
+    return String(value ?? '').toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Find graph nodes matching a filename, path, circular number or title.
+ * Exact filename/number matches win; otherwise every node whose label
+ * contains all query words is returned.
+ */
+export function resolveNodes(graph, query) {
+    const basename = query.split(/[\\/]/).pop();
+    if (graph.nodes.has(query)) {
+        return [query];
+    }
+    if (basename.toLowerCase().endsWith('.pdf') && graph.nodes.has(basename)) {
+        return [basename];
+    }
+
+    const number = normalizeNumber(query);
+    const byNumber = [...graph.nodes.values()]
+        .filter(node => node.circular_number && normalizeNumber(node.circular_number) === number)
+        .map(node => node.id);
+    if (byNumber.length > 0) {
+        return byNumber;
+    }
+
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) {
+        return [];
+    }
+    return [...graph.nodes.values()]
+        .filter(node => {
+            const nodeTokens = new Set([...tokenize(node.label), ...tokenize(node.id), ...tokenize(node.circular_number)]);
+            return queryTokens.every(token => nodeTokens.has(token));
+        })
+        .map(node => node.id);
+}
+
+/**
+ * Breadth-first walk from `startIds`. `direction` is 'incoming' for impact
+ * and 'outgoing' for dependencies.
+ */
+export function traverse(graph, startIds, direction) {
+    const reached = new Map();
+    const queue = startIds.map(id => ({ id, chain: [] }));
+    const seen = new Set(startIds);
+
+    while (queue.length > 0) {
+        const { id, chain } = queue.shift();
+        const edges = direction === 'incoming' ? graph.incoming(id) : graph.outgoing(id);
+
+        for (const edge of edges) {
+            const next = direction === 'incoming' ? edge.source : edge.target;
+            if (seen.has(next)) {
+                continue;
+            }
+            seen.add(next);
+
+            const nextChain = [...chain, edge];
+            reached.set(next, {
+                node: graph.nodes.get(next),
+                depth: nextChain.length,
+                chain: nextChain
+            });
+            queue.push({ id: next, chain: nextChain });
+        }
+    }
+
+    return [...reached.values()].sort((a, b) => a.depth - b.depth || a.node.id.localeCompare(b.node.id));
+}
+
+/**
+ * Strongly connected components with more than one node (Tarjan).
+ * Each component is a set of circulars that cite each other in a loop.
+ */
+export function findCycles(graph) {
+    let index = 0;
+    const stack = [];
+    const onStack = new Set();
+    const indices = new Map();
+    const lowLinks = new Map();
+    const cycles = [];
+
+    const strongConnect = (id) => {
+        indices.set(id, index);
+        lowLinks.set(id, index);
+        index++;
+        stack.push(id);
+        onStack.add(id);
+
+        for (const edge of graph.outgoing(id)) {
+            if (!indices.has(edge.target)) {
+                strongConnect(edge.target);
+                lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(edge.target)));
+            } else if (onStack.has(edge.target)) {
+                lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(edge.target)));
+            }
+        }
+
+        if (lowLinks.get(id) === indices.get(id)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+
+            if (component.length > 1) {
+                cycles.push(component.reverse());
+            }
+        }
+    };
+
+    for (const id of graph.nodes.keys()) {
+        if (!indices.has(id)) {
+            strongConnect(id);
+        }
+    }
+
+    return cycles;
+}
+
+/**
+ * Run an impact (`incoming`) or dependency (`outgoing`) query.
+ */
+export function analyzeImpact(graph, query, direction) {
+    const startIds = resolveNodes(graph, query);
+    const results = traverse(graph, startIds, direction);
+
+    const involved = new Set([...startIds, ...results.map(result => result.node.id)]);
+    const cycles = findCycles(graph).filter(cycle => cycle.some(id => involved.has(id)));
+
+    return {
+        query,
+        direction,
+        matched: startIds.map(id => graph.nodes.get(id)),
+        results,
+        cycles
+    };
+}
@@ -0,0 +1,239 @@
+/**
+ * LLM provider layer.
+ *
+ * Every provider exposes `generate(prompt, meta)` and resolves to the raw
+ * response text; prompt construction and JSON parsing stay in the finder.
+ * `meta.sourceFile` identifies the document being analyzed so the mock
+ * provider can serve a canned response per circular.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const PROVIDERS = ['gemini', 'openai-compatible', 'ollama', 'mock'];
+
+export const DEFAULT_MODELS = {
+    'gemini': 'gemini-1.5-flash',
+    'openai-compatible': 'gpt-4o-mini',
+    'ollama': 'llama3.1',
+    'mock': 'replay'
+};
+
+export const DEFAULT_BASE_URLS = {
+    'openai-compatible': 'https://api.openai.com/v1',
+    'ollama': 'http://localhost:11434'
+};
+
+export function promptKey(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+async function postJson(url, body, { headers = {}, timeout }) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`${url} responded ${response.status} ${response.statusText}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    }
+    return response.json();
+}
+
+class GeminiProvider {
+    constructor({ apiKey, model, baseUrl, temperature, timeout }) {
+        if (!apiKey) {
+            throw new Error('GEMINI_API_KEY environment variable is not set');
+        }
+        this.name = 'gemini';
+        this.model = model;
+        this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel(
+            { model, generationConfig: { temperature } },
+            { timeout, ...(baseUrl ? { baseUrl } : {}) }
+        );
+    }
+
+    async generate(prompt) {
+        const result = await this.client.generateContent(prompt);
+        const response = await result.response;
+        return response.text();
+    }
+}
+
+class OpenAICompatibleProvider {
+    constructor({ apiKey, model, baseUrl, temperature, timeout }) {
+        this.name = 'openai-compatible';
+        this.model = model;
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.temperature = temperature;
+        this.timeout = timeout;
+    }
+
+    async generate(prompt) {
+        const data = await postJson(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            temperature: this.temperature,
+            messages: [{ role: 'user', content: prompt }]
+        }, {
+            headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+            timeout: this.timeout
+        });
+
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Response did not contain choices[0].message.content');
+        }
+        return content;
+    }
+}
+
+class OllamaProvider {
+    constructor({ model, baseUrl, temperature, timeout }) {
+        this.name = 'ollama';
+        this.model = model;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.temperature = temperature;
+        this.timeout = timeout;
+    }
+
+    async generate(prompt) {
+        const data = await postJson(`${this.baseUrl}/api/generate`, {
+            model: this.model,
+            prompt,
+            stream: false,
+            options: { temperature: this.temperature }
+        }, { timeout: this.timeout });
+
+        if (typeof data.response !== 'string') {
+            throw new Error('Response did not contain a "response" field');
+        }
+        return data.response;
+    }
+}
+
+/**
+ * Serves canned responses from `replayDir`, looked up in order:
+ * `<prompt-hash>.json|.txt`, `<source-name>.chunk<n>.json|.txt` (long
+ * documents analyzed in parts), `<source-name>.json|.txt`, `default.json|.txt`.
+ */
+class MockProvider {
+    constructor({ replayDir }) {
+        if (!replayDir) {
+            throw new Error('The mock provider needs a replay directory (--replay-dir)');
+        }
+        this.name = 'mock';
+        this.model = DEFAULT_MODELS.mock;
+        this.replayDir = replayDir;
+    }
+
+    candidates(prompt, { sourceFile, chunk, totalChunks = 1 } = {}) {
+        const keys = [promptKey(prompt)];
+        if (sourceFile) {
+            const name = path.parse(sourceFile).name;
+            if (totalChunks > 1) {
+                keys.push(`${name}.chunk${chunk}`);
+            }
+            keys.push(name);
+        }
+        keys.push('default');
+        return keys.flatMap(key => [`${key}.json`, `${key}.txt`]).map(file => path.join(this.replayDir, file));
+    }
+
+    async generate(prompt, meta = {}) {
+        const candidates = this.candidates(prompt, meta);
+        for (const candidate of candidates) {
+            if (await fs.pathExists(candidate)) {
+                return fs.readFile(candidate, 'utf8');
+            }
+        }
+        throw new Error(`No replay response found; looked for ${candidates.map(c => path.basename(c)).join(', ')} in ${this.replayDir}`);
+    }
+}
+
+/**
+ * Wraps a provider and saves every response as `<prompt-hash>.txt` so the
+ * run can later be replayed with the mock provider.
+ */
+class RecordingProvider {
+    constructor(inner, recordDir) {
+        this.inner = inner;
+        this.name = inner.name;
+        this.model = inner.model;
+        this.recordDir = recordDir;
+    }
+
+    async generate(prompt, meta = {}) {
+        const text = await this.inner.generate(prompt, meta);
+        await fs.ensureDir(this.recordDir);
+        await fs.writeFile(path.join(this.recordDir, `${promptKey(prompt)}.txt`), text);
+        return text;
+    }
+}
+
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY = 1000;
+
+/**
+ * Call `attempt(n)` until it resolves, retrying up to `retries` times with
+ * exponential backoff (`delay`, 2x`delay`, 4x`delay`, ...). `onRetry` is told
+ * about each failure that will be retried; the last error is rethrown with
+ * `attempts` set.
+ */
+export async function withRetries(attempt, { retries = DEFAULT_RETRIES, delay = DEFAULT_RETRY_DELAY, onRetry = () => {} } = {}) {
+    for (let n = 1; ; n++) {
+        try {
+            return await attempt(n);
+        } catch (error) {
+            if (n > retries) {
+                error.attempts = n;
+                throw error;
+            }
+            const wait = delay * 2 ** (n - 1);
+            onRetry(error, { attempt: n, wait });
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+}
+
+/**
+ * Create the provider described by a resolved config (see `loadConfig`).
+ */
+export function createProvider(config) {
+    const name = config.provider;
+    if (!PROVIDERS.includes(name)) {
+        throw new Error(`Unknown provider '${name}' (expected ${PROVIDERS.join(', ')})`);
+    }
+
+    const settings = {
+        apiKey: config.apiKey,
+        model: config.model || DEFAULT_MODELS[name],
+        baseUrl: config.baseUrl || DEFAULT_BASE_URLS[name],
+        temperature: config.temperature,
+        timeout: config.timeout,
+        replayDir: config.replayDir
+    };
+
+    let provider;
+    switch (name) {
+        case 'gemini':
+            provider = new GeminiProvider(settings);
+            break;
+        case 'openai-compatible':
+            provider = new OpenAICompatibleProvider(settings);
+            break;
+        case 'ollama':
+            provider = new OllamaProvider(settings);
+            break;
+        case 'mock':
+            provider = new MockProvider(settings);
+            break;
+    }
+
+    return config.recordDir ? new RecordingProvider(provider, config.recordDir) : provider;
+}
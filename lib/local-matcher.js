@@ -0,0 +1,150 @@
+/**
+ * Deterministic matching of references to the local circular collection.
+ *
+ * Instead of trusting the `matched_target` filename echoed by the model, each
+ * reference is scored against every local circular on four signals:
+ *
+ *   circular_number  normalized number equal (or same year/serial)  0.6 (0.35)
+ *   date             the reference's "dated ..." equals the circular  0.2
+ *   subject          word overlap between title/text and subject      0.3 x similarity
+ *   key_terms        entity types the circular applies to, named nearby  0.1 x fraction
+ *
+ * The engine's own `matched_target` adds a small `engine_suggested` bonus but
+ * can never produce a match on its own. When two or more circulars score
+ * within AMBIGUITY_MARGIN of each other, or the best one only reaches
+ * CANDIDATE_THRESHOLD (e.g. a bare "circular dated ..."), nothing is picked
+ * and the candidates are returned for manual confirmation.
+ */
+
+import { isoDate } from './canonical-references.js';
+
+export const MATCH_THRESHOLD = 0.5;
+export const CANDIDATE_THRESHOLD = 0.2;
+export const AMBIGUITY_MARGIN = 0.1;
+
+const WEIGHTS = {
+    circular_number: 0.6,
+    circular_serial: 0.35,
+    date: 0.2,
+    subject: 0.3,
+    key_terms: 0.1,
+    engine_suggested: 0.1
+};
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'of', 'to', 'in', 'on', 'by', 'with', 'from', 'under', 'sebi',
+    'circular', 'dated', 'no', 'regarding', 'related', 'provisions', 'certain'
+]);
+
+const DATE = /(?:january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2},?\s+\d{4}/i;
+
+function squashNumber(value) {
+    return String(value ?? '').toUpperCase().replace(/[^A-Z0-9/]+/g, '').replace(/\/0+(\d)/g, '/$1');
+}
+
+// "SEBI/HO/MRD/MRD-PoD-1/P/CIR/2025/087" -> "2025/87"
+function serial(value) {
+    const match = String(value ?? '').match(/(\d{4})\/0*(\d+)\s*$/);
+    return match ? `${match[1]}/${match[2]}` : null;
+}
+
+function words(text) {
+    return new Set(String(text ?? '').replace(new RegExp(DATE, 'gi'), ' ').toLowerCase().split(/[^a-z0-9]+/)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+function dice(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    for (const word of a) {
+        if (b.has(word)) {
+            shared++;
+        }
+    }
+    return (2 * shared) / (a.size + b.size);
+}
+
+function referenceDate(ref) {
+    const text = [ref.dated, ref.exact_text, ref.title].filter(Boolean).join(' ');
+    return isoDate(text.match(DATE)?.[0]);
+}
+
+/**
+ * Score one reference against one local circular. Returns
+ * `{ score, signals }` where `signals` lists the signals that fired.
+ */
+export function scoreCandidate(ref, filename, circular) {
+    const signals = [];
+    let score = 0;
+
+    const refNumber = ref.circular_number || ref.exact_text?.match(/SEBI\/\S+\/\d{4}\/\d+/)?.[0];
+    if (refNumber && circular.circular_number) {
+        if (squashNumber(refNumber) === squashNumber(circular.circular_number)) {
+            signals.push('circular_number');
+            score += WEIGHTS.circular_number;
+        } else if (serial(refNumber) && serial(refNumber) === serial(circular.circular_number)) {
+            signals.push('circular_serial');
+            score += WEIGHTS.circular_serial;
+        } else {
+            // Both numbers are known and differ: a shared date or subject is coincidence.
+            return { score: 0, signals: [] };
+        }
+    }
+
+    const date = referenceDate(ref);
+    if (date && date === isoDate(circular.date)) {
+        signals.push('date');
+        score += WEIGHTS.date;
+    }
+
+    const similarity = dice(words(`${ref.title || ''} ${ref.exact_text || ''}`), words(circular.subject));
+    if (similarity >= 0.3) {
+        signals.push('subject');
+        score += WEIGHTS.subject * similarity;
+    }
+
+    const keyTerms = circular.key_terms || [];
+    if (keyTerms.length > 0) {
+        const nearby = `${ref.exact_text || ''} ${ref.context || ''}`.toLowerCase();
+        const present = keyTerms.filter(term => nearby.includes(term)).length;
+        if (present > 0) {
+            signals.push('key_terms');
+            score += WEIGHTS.key_terms * (present / keyTerms.length);
+        }
+    }
+
+    if (ref.matched_target === filename) {
+        signals.push('engine_suggested');
+        score += WEIGHTS.engine_suggested;
+    }
+
+    return { score: Math.round(Math.min(score, 1) * 100) / 100, signals };
+}
+
+/**
+ * Match a reference against `localCirculars`. Returns
+ * `{ status: 'matched'|'ambiguous'|'none', filename, score, signals, candidates }`
+ * where `candidates` holds every circular scoring at least CANDIDATE_THRESHOLD
+ * on a signal other than key terms or the engine's hint.
+ */
+export function matchReference(ref, localCirculars) {
+    const candidates = Object.entries(localCirculars)
+        .map(([filename, circular]) => ({ filename, ...scoreCandidate(ref, filename, circular) }))
+        // Key terms and the engine's hint alone say nothing about identity.
+        .filter(candidate => candidate.signals.some(signal => !['key_terms', 'engine_suggested'].includes(signal)))
+        .filter(candidate => candidate.score >= CANDIDATE_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+
+    const [best, second] = candidates;
+    if (!best) {
+        return { status: 'none', filename: null, score: 0, signals: [], candidates };
+    }
+
+    if (best.score < MATCH_THRESHOLD || (second && best.score - second.score < AMBIGUITY_MARGIN)) {
+        return { status: 'ambiguous', filename: null, score: best.score, signals: best.signals, candidates };
+    }
+
+    return { status: 'matched', filename: best.filename, score: best.score, signals: best.signals, candidates };
+}
@@ -0,0 +1,270 @@
+/**
+ * Obligations and deadlines: who must do what, by when.
+ *
+ * Sentences are read page by page. A sentence is an obligation when an
+ * entity type from the taxonomy is the subject of a directive ("Depositories
+ * are advised to ...", "AMCs shall ..."), or when it sets a timeline without
+ * naming anyone ("... decided to extend the timeline to November 17, 2025"),
+ * in which case the circular's addressees (the "To," block) are the entities.
+ * Text quoted from earlier circulars is skipped: its timelines are the ones
+ * being changed.
+ *
+ * Deadlines are classified as `due_by` (by/till/to a date), `effective_from`
+ * (with effect from a date), `relative` ("within 5 months from the date of
+ * this circular", resolved against the issue date when possible) or
+ * `immediate`.
+ */
+
+import crypto from 'crypto';
+import { isoDate } from './canonical-references.js';
+import { addressees, entityById, findEntities, uniqueEntityIds } from './taxonomy.js';
+
+const DATE = '(?:January|February|March|April|May|June|July|August|September|October|November|December)\\s+\\d{1,2},?\\s+\\d{4}';
+
+const DIRECTIVE = /\b(?:shall(?!\s+(?:come into|remain|be applicable|be available|be issued|be effective|not apply))|must|(?:are|is)\s+(?:hereby\s+)?(?:required|directed|advised|mandated|permitted|expected)\s+to|(?:are|is)\s+to\s+ensure|need\s+to)\b/i;
+
+const DEADLINES = [
+    { type: 'due_by', pattern: new RegExp(`\\b(?:by|on or before|before|till|until|up\\s?to|not later than|latest by|to)\\s+(?:the\\s+)?(${DATE})`, 'gi') },
+    { type: 'effective_from', pattern: new RegExp(`\\b(?:with effect from|w\\.e\\.f\\.?|effective from|come into (?:force|effect) (?:from|on)|applicable (?:from|with effect from))\\s+(?:the\\s+)?(${DATE})`, 'gi') },
+    { type: 'relative', pattern: /\b(?:within|after)\s+((?:\d+|one|two|three|four|five|six|seven|eight|nine|ten|fifteen|thirty|sixty|ninety)(?:\s*\(\d+\))?\s+(?:working\s+)?(?:days?|weeks?|months?|years?))(?:\s+(?:from|of)\s+(?:the\s+)?(?:date of (?:issue of )?)?this circular)?/i },
+    { type: 'immediate', pattern: /\bwith immediate effect\b/i }
+];
+
+const PASSIVE = /^(?:shall|must)\s+(?:also\s+)?(?:be|remain|continue to remain)\b(?!\s+(?:required|responsible|liable)\b)/i;
+
+const TIMELINE_WORDS = /\b(?:timelines?|extend(?:ed)?|extension|implement(?:ed|ation)?|compl(?:y|iance)|come into (?:force|effect)|put in place|adopt(?:ion)?)\b/i;
+
+// Sentences that end a "... are advised to:" list rather than continue it.
+const NOT_AN_ITEM = /^(?:This|The|These|It|However|Yours|A|An|No\.)\b/;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15, thirty: 30, sixty: 60, ninety: 90 };
+
+function collapse(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a page into sentences and numbered sub-paragraphs, leaving out text
+ * quoted from other circulars.
+ */
+function sentences(page) {
+    const text = collapse(page)
+        .replace(/“[^”]{80,}”/g, ' ')
+        .replace(/"[^"]{80,}"/g, ' ');
+    return text
+        .split(/(?<![Nn]o|\b[A-Z]|\b[ivx]{1,4}|\b[a-z]|viz|i\.e|e\.g|etc|Rs)\.\s+(?=\d+(?:\.\d+)*\.\s|\d+(?:\.\d+)+\s|[A-Z“"(])|(?<=:)\s+(?=\d+(?:\.\d+)+\.?\s)/)
+        .map(sentence => sentence.replace(/^\d+(?:\.\d+)*\.?\s+/, '').trim())
+        .filter(sentence => sentence.length > 20);
+}
+
+function addToDate(iso, amount, unit) {
+    const date = new Date(`${iso}T00:00:00Z`);
+    if (unit.startsWith('day')) {
+        date.setUTCDate(date.getUTCDate() + amount);
+    } else if (unit.startsWith('week')) {
+        date.setUTCDate(date.getUTCDate() + amount * 7);
+    } else if (unit.startsWith('month')) {
+        date.setUTCMonth(date.getUTCMonth() + amount);
+    } else {
+        date.setUTCFullYear(date.getUTCFullYear() + amount);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The deadline stated in a sentence: `{ deadline, deadline_type, deadline_text }`.
+ * Relative periods counted from "this circular" resolve against `issueDate`;
+ * working days and other anchors are left as text. Dates before `issueDate`
+ * recount history ("was extended till March 31, 2024") and are skipped.
+ */
+export function findDeadline(sentence, issueDate = null) {
+    // "circular dated May 14, 2025" cites a document; it is not a deadline.
+    const text = sentence.replace(new RegExp(`\\bdated\\s+${DATE}`, 'gi'), 'dated');
+    for (const { type, pattern } of DEADLINES) {
+        const match = pattern.global
+            ? [...text.matchAll(pattern)].find(([, date]) => !issueDate || isoDate(date) >= issueDate)
+            : text.match(pattern);
+        if (!match) {
+            continue;
+        }
+        if (type === 'relative') {
+            const [, period] = match;
+            const amount = parseInt(period, 10) || NUMBER_WORDS[period.split(/\s/)[0].toLowerCase()];
+            const unit = period.match(/(day|week|month|year)/i)[1].toLowerCase();
+            const fromCircular = /this circular/i.test(match[0]) && !/working/i.test(period);
+            return {
+                deadline: fromCircular && issueDate ? addToDate(issueDate, amount, unit) : null,
+                deadline_type: type,
+                deadline_text: match[0]
+            };
+        }
+        if (type === 'immediate') {
+            return { deadline: issueDate, deadline_type: type, deadline_text: match[0] };
+        }
+        return { deadline: isoDate(match[1]), deadline_type: type, deadline_text: match[0] };
+    }
+    return { deadline: null, deadline_type: null, deadline_text: null };
+}
+
+/**
+ * Extract obligation records from per-page text. Entity types come from
+ * `taxonomy` (see taxonomy.js); `issueDate` (YYYY-MM-DD) anchors relative
+ * deadlines; `sourceFile` prefixes the record ids.
+ */
+export function extractObligations(pages, { taxonomy, sourceFile = 'document', issueDate = null }) {
+    const defaultEntities = addressees(pages[0] || '', taxonomy);
+    const obligations = [];
+    let leadIn = null;
+
+    pages.forEach((page, i) => {
+        for (const sentence of sentences(page)) {
+            const deadline = findDeadline(sentence, issueDate);
+            let directive = sentence.match(DIRECTIVE);
+            // "... shall be an independent audit firm" describes; it only binds with a date attached.
+            if (directive && PASSIVE.test(sentence.slice(directive.index)) && !deadline.deadline_type) {
+                directive = null;
+            }
+            const subjectMentions = directive ? findEntities(sentence.slice(0, directive.index), taxonomy) : [];
+
+            let entityTypes;
+            let action;
+            if (directive && subjectMentions.length > 0) {
+                entityTypes = uniqueEntityIds(subjectMentions);
+                action = sentence.slice(directive.index).trim();
+                // "Stock Exchanges are directed to:" - the actions follow as sub-paragraphs.
+                if (/:\s*$/.test(action) && action.length < 60) {
+                    leadIn = { entityTypes, deadline };
+                    continue;
+                }
+            } else if (leadIn && !directive && !NOT_AN_ITEM.test(sentence)) {
+                entityTypes = leadIn.entityTypes;
+                action = sentence;
+                if (!deadline.deadline_type && leadIn.deadline.deadline_type) {
+                    Object.assign(deadline, leadIn.deadline);
+                }
+            } else if (deadline.deadline_type && TIMELINE_WORDS.test(sentence)) {
+                // A timeline change applies to whoever the circular is addressed to.
+                entityTypes = defaultEntities.length > 0 ? defaultEntities : uniqueEntityIds(findEntities(sentence, taxonomy));
+                action = sentence;
+            } else {
+                leadIn = null;
+                continue;
+            }
+
+            obligations.push({
+                id: `${sourceFile}#${obligations.length + 1}`,
+                entity_types: entityTypes,
+                entities: entityTypes.map(id => entityById(taxonomy, id).label),
+                action: action.length > 300 ? `${action.slice(0, 297)}...` : action,
+                ...deadline,
+                page_number: i + 1,
+                context: sentence.length > 600 ? `${sentence.slice(0, 597)}...` : sentence
+            });
+        }
+        leadIn = null;
+    });
+
+    return obligations;
+}
+
+export function summarizeObligations(obligations) {
+    const byEntity = {};
+    for (const obligation of obligations) {
+        for (const entity of obligation.entities) {
+            byEntity[entity] = (byEntity[entity] || 0) + 1;
+        }
+    }
+    return {
+        total_obligations: obligations.length,
+        with_deadline: obligations.filter(obligation => obligation.deadline).length,
+        by_deadline_type: Object.fromEntries(['due_by', 'effective_from', 'relative', 'immediate']
+            .map(type => [type, obligations.filter(obligation => obligation.deadline_type === type).length])),
+        by_entity: byEntity
+    };
+}
+
+function icsText(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space.
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * An iCalendar file with one all-day event per dated obligation. Each record
+ * needs `source_file` besides the fields from `extractObligations`.
+ */
+export function renderIcs(obligations, { calendarName = 'SEBI obligations' } = {}) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//sebi-reference-finder//obligations//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${icsText(calendarName)}`
+    ];
+
+    for (const obligation of obligations.filter(item => item.deadline)) {
+        const day = obligation.deadline.replace(/-/g, '');
+        const next = new Date(`${obligation.deadline}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        const summary = `${obligation.entities.join(', ') || 'All addressees'}: ${obligation.action}`;
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${crypto.createHash('sha1').update(obligation.id).digest('hex')}@sebi-reference-finder`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${day}`,
+            `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`,
+            `SUMMARY:${icsText(summary.length > 120 ? `${summary.slice(0, 117)}...` : summary)}`,
+            `DESCRIPTION:${icsText(`${obligation.context}\n\nSource: ${obligation.source_file}, page ${obligation.page_number} (${obligation.deadline_text})`)}`,
+            `CATEGORIES:${icsText(obligation.deadline_type)}`,
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export const TRACKER_COLUMNS = [
+    { key: 'id', header: 'ID' },
+    { key: 'source_file', header: 'Circular' },
+    { key: 'circular_number', header: 'Circular Number' },
+    { key: 'issue_date', header: 'Issued' },
+    { key: 'entities', header: 'Entity Types' },
+    { key: 'action', header: 'Action' },
+    { key: 'deadline', header: 'Deadline' },
+    { key: 'deadline_type', header: 'Deadline Type' },
+    { key: 'deadline_text', header: 'Deadline Wording' },
+    { key: 'page_number', header: 'Page' },
+    { key: 'context', header: 'Context' },
+    { key: 'status', header: 'Status' },
+    { key: 'owner', header: 'Owner' }
+];
+
+/**
+ * The consolidated tracker as a `{ columns, rows }` model for `renderCsv`,
+ * soonest deadline first (undated last). Status starts as "open" and owner
+ * blank, for the compliance team to fill in.
+ */
+export function trackerModel(obligations) {
+    return {
+        columns: TRACKER_COLUMNS,
+        rows: [...obligations]
+            .sort((a, b) => (a.deadline || '9999').localeCompare(b.deadline || '9999') || a.id.localeCompare(b.id))
+            .map(obligation => ({ ...obligation, status: 'open', owner: '' }))
+    };
+}
@@ -0,0 +1,60 @@
+/**
+ * Per-page PDF text extraction.
+ *
+ * pdf-parse concatenates all pages into `data.text` and does not reliably
+ * emit form feeds between them, so page numbers cannot be recovered from its
+ * output. We hook `pagerender` instead and capture each page's text as it is
+ * rendered.
+ */
+
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const pdfParse = require('pdf-parse');
+
+// Same line-joining rule as pdf-parse's default renderer: a change in the
+// baseline (transform[5]) starts a new line.
+async function renderPage(pageData) {
+    const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+        if (lastY === item.transform[5] || lastY === undefined) {
+            text += item.str;
+        } else {
+            text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+    }
+    return text;
+}
+
+/**
+ * Extract text page by page. `max` limits the number of pages (0 = all).
+ * Returns `{ pages, numpages }` where `pages[i]` is the text of page i + 1.
+ */
+export async function extractPages(pdfBuffer, { max = 0 } = {}) {
+    const pages = [];
+
+    const data = await pdfParse(pdfBuffer, {
+        max,
+        pagerender: async (pageData) => {
+            const text = await renderPage(pageData);
+            pages[pageData.pageIndex] = text;
+            return text;
+        }
+    });
+
+    // pdf-parse swallows per-page render errors; keep page positions stable.
+    const rendered = data.numrender || pages.length;
+    for (let i = 0; i < rendered; i++) {
+        if (pages[i] === undefined) {
+            pages[i] = '';
+        }
+    }
+
+    return { pages, numpages: data.numpages };
+}
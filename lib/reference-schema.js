@@ -0,0 +1,302 @@
+/**
+ * Versioned schema for the reference objects returned by the model.
+ *
+ * Every AI response is parsed with `parseReferenceResponse`, which first
+ * repairs the defects models commonly produce (code fences, chatter before or
+ * after the JSON, trailing commas, enum values in the wrong form) and then
+ * validates each reference against `REFERENCE_SCHEMA`. A response that cannot
+ * be turned into a valid array, or that was cut off before the array closed,
+ * raises `ResponseValidationError` so the caller can retry, rather than being
+ * mistaken for "no references found".
+ *
+ * Bump SCHEMA_VERSION whenever the reference shape changes; it is written
+ * into every saved analysis.
+ */
+
+import Ajv from 'ajv';
+import { RELATIONSHIPS } from './relationships.js';
+
+export const SCHEMA_VERSION = '1.0.0';
+
+export const REFERENCE_TYPES = ['sebi_circular', 'sebi_regulation', 'rbi_circular', 'companies_act', 'other_law', 'other'];
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const nullableString = { type: ['string', 'null'] };
+
+export const REFERENCE_SCHEMA = {
+    $id: `sebi-reference-finder/reference/${SCHEMA_VERSION}`,
+    title: 'Regulatory reference',
+    type: 'object',
+    required: ['exact_text', 'reference_type', 'page_number', 'context', 'confidence'],
+    properties: {
+        exact_text: { type: 'string', minLength: 1 },
+        reference_type: { enum: REFERENCE_TYPES },
+        circular_number: nullableString,
+        title: nullableString,
+        page_number: { type: ['integer', 'null'], minimum: 1 },
+        context: { type: 'string' },
+        confidence: { enum: CONFIDENCE_LEVELS },
+        reasoning: nullableString,
+        matched_target: nullableString,
+        relationship: { enum: [...RELATIONSHIPS, null] },
+        affected_provision: nullableString,
+        effective_date: nullableString
+    }
+};
+
+const validateReference = new Ajv({ allErrors: true }).compile(REFERENCE_SCHEMA);
+
+/**
+ * An unusable model response. For a truncated response, `references` holds
+ * the complete references before the cut, for use as partial results.
+ */
+export class ResponseValidationError extends Error {
+    constructor(message, { errors = [], repairs = [], references = [] } = {}) {
+        super(message);
+        this.name = 'ResponseValidationError';
+        this.errors = errors;
+        this.repairs = repairs;
+        this.references = references;
+    }
+}
+
+/**
+ * Raised when some parts of a document could not be analyzed even after
+ * retries. `references` holds what the successful parts found, so the caller
+ * can save them as partial results instead of reporting an empty analysis.
+ */
+export class IncompleteAnalysisError extends Error {
+    constructor(message, { references = [], failedParts = [], totalParts = 1 } = {}) {
+        super(message);
+        this.name = 'IncompleteAnalysisError';
+        this.references = references;
+        this.failedParts = failedParts;
+        this.totalParts = totalParts;
+    }
+}
+
+const REFERENCE_TYPE_ALIASES = {
+    circular: 'sebi_circular',
+    master_circular: 'sebi_circular',
+    sebi_master_circular: 'sebi_circular',
+    regulation: 'sebi_regulation',
+    regulations: 'sebi_regulation',
+    sebi_regulations: 'sebi_regulation',
+    rbi: 'rbi_circular',
+    rbi_guideline: 'rbi_circular',
+    rbi_guidelines: 'rbi_circular',
+    companies_act_2013: 'companies_act',
+    act: 'other_law',
+    law: 'other_law',
+    statute: 'other_law'
+};
+
+const RELATIONSHIP_ALIASES = {
+    modify: 'modifies', modified: 'modifies', amends: 'modifies', amend: 'modifies', amended: 'modifies', amends_provision: 'modifies',
+    supersede: 'supersedes', superseded: 'supersedes', replaces: 'supersedes', replaced: 'supersedes',
+    rescind: 'rescinds', rescinded: 'rescinds', repeals: 'rescinds', repealed: 'rescinds', withdraws: 'rescinds',
+    extend: 'extends', extended: 'extends',
+    clarify: 'clarifies', clarified: 'clarifies',
+    refers: 'refers_to', references: 'refers_to', cites: 'refers_to', cited: 'refers_to', none: 'refers_to'
+};
+
+function enumKey(value) {
+    return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Find the JSON value in `text`: drop code fences and surrounding chatter.
+ * Returns `{ json, truncated }`; an array cut off mid-way is closed after its
+ * last complete element and flagged as truncated.
+ */
+function extractJson(text, repairs) {
+    let body = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const start = body.search(/[[{]/);
+    if (start < 0) {
+        throw new ResponseValidationError('Response contains no JSON', { repairs });
+    }
+    if (start > 0) {
+        repairs.push('removed text before the JSON');
+        body = body.slice(start);
+    }
+
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    let lastElementEnd = -1;
+
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+        } else if (char === '[' || char === '{') {
+            stack.push(char);
+        } else if (char === ']' || char === '}') {
+            stack.pop();
+            if (stack.length === 0) {
+                if (body.slice(i + 1).trim()) {
+                    repairs.push('removed text after the JSON');
+                }
+                return { json: body.slice(0, i + 1), truncated: false };
+            }
+            if (stack.length === 1 && stack[0] === '[') {
+                lastElementEnd = i;
+            }
+        }
+    }
+
+    // Truncated output: keep every element that was closed.
+    if (stack[0] === '[') {
+        return { json: lastElementEnd >= 0 ? `${body.slice(0, lastElementEnd + 1)}]` : '[]', truncated: true };
+    }
+    throw new ResponseValidationError('Response JSON is incomplete', { repairs });
+}
+
+function parseJson(text, repairs) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        const withoutTrailingCommas = text.replace(/,(\s*[\]}])/g, '$1');
+        try {
+            const value = JSON.parse(withoutTrailingCommas);
+            repairs.push('removed trailing commas');
+            return value;
+        } catch (error) {
+            throw new ResponseValidationError(`Response is not valid JSON: ${error.message}`, { repairs });
+        }
+    }
+}
+
+function toArray(value, repairs) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (value && typeof value === 'object') {
+        const wrapped = Object.values(value).find(Array.isArray);
+        if (wrapped) {
+            repairs.push('unwrapped the reference array from an object');
+            return wrapped;
+        }
+        if ('exact_text' in value) {
+            repairs.push('wrapped a single reference in an array');
+            return [value];
+        }
+    }
+    throw new ResponseValidationError('Response is not an array of references', { repairs });
+}
+
+/**
+ * Coerce the fields of one reference into the schema's types and enums.
+ */
+function repairReference(ref, index, repairs) {
+    if (!ref || typeof ref !== 'object' || Array.isArray(ref)) {
+        return ref;
+    }
+    const fixed = { ...ref };
+    const note = (field, from, to) => repairs.push(`reference ${index + 1}: ${field} ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+
+    for (const field of ['exact_text', 'context', 'circular_number', 'title', 'reasoning', 'matched_target', 'affected_provision', 'effective_date']) {
+        if (typeof fixed[field] === 'number') {
+            fixed[field] = String(fixed[field]);
+        }
+    }
+    if (fixed.context == null && typeof fixed.exact_text === 'string') {
+        fixed.context = '';
+    }
+
+    if (fixed.reference_type !== undefined && !REFERENCE_TYPES.includes(fixed.reference_type)) {
+        const key = enumKey(fixed.reference_type);
+        const value = REFERENCE_TYPES.includes(key) ? key : REFERENCE_TYPE_ALIASES[key] ||
+            (key.includes('rbi') ? 'rbi_circular' : key.includes('circular') ? 'sebi_circular' : key.includes('regulation') ? 'sebi_regulation' : 'other');
+        note('reference_type', fixed.reference_type, value);
+        fixed.reference_type = value;
+    } else if (fixed.reference_type === undefined) {
+        note('reference_type', null, 'other');
+        fixed.reference_type = 'other';
+    }
+
+    if (!CONFIDENCE_LEVELS.includes(fixed.confidence)) {
+        let value;
+        if (typeof fixed.confidence === 'number') {
+            const score = fixed.confidence > 1 ? fixed.confidence / 100 : fixed.confidence;
+            value = score >= 0.8 ? 'high' : score >= 0.5 ? 'medium' : 'low';
+        } else {
+            const key = enumKey(fixed.confidence ?? '');
+            value = CONFIDENCE_LEVELS.find(level => key.includes(level)) || 'low';
+        }
+        note('confidence', fixed.confidence, value);
+        fixed.confidence = value;
+    }
+
+    if (typeof fixed.page_number === 'string') {
+        const page = parseInt(fixed.page_number.match(/\d+/)?.[0], 10);
+        const value = page >= 1 ? page : null;
+        note('page_number', fixed.page_number, value);
+        fixed.page_number = value;
+    } else if (fixed.page_number === undefined || (typeof fixed.page_number === 'number' && !(Number.isInteger(fixed.page_number) && fixed.page_number >= 1))) {
+        fixed.page_number = null;
+    }
+
+    if (fixed.relationship != null && !RELATIONSHIPS.includes(fixed.relationship)) {
+        const key = enumKey(fixed.relationship);
+        // Unknown relationships are dropped so the rules classify the reference.
+        const value = RELATIONSHIPS.includes(key) ? key : RELATIONSHIP_ALIASES[key] || null;
+        note('relationship', fixed.relationship, value);
+        fixed.relationship = value;
+    }
+
+    return fixed;
+}
+
+/**
+ * Parse, repair and validate one raw model response. Returns
+ * `{ references, repairs, rejected }`: `rejected` lists elements that stayed
+ * invalid after repair and were left out. Throws ResponseValidationError when
+ * no usable array can be recovered or the response was cut off.
+ */
+export function parseReferenceResponse(rawResponse) {
+    const repairs = [];
+    const { json, truncated } = extractJson(String(rawResponse ?? ''), repairs);
+    const value = parseJson(json, repairs);
+    const items = toArray(value, repairs).map((ref, index) => repairReference(ref, index, repairs));
+
+    const references = [];
+    const rejected = [];
+    items.forEach((ref, index) => {
+        if (validateReference(ref)) {
+            references.push(ref);
+        } else {
+            rejected.push({
+                index: index + 1,
+                errors: validateReference.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+            });
+        }
+    });
+
+    // A cut-off answer is never complete, even when nothing before the cut survived.
+    if (truncated) {
+        throw new ResponseValidationError(
+            `Response was cut off after ${references.length} complete reference(s)`,
+            { errors: rejected, repairs, references }
+        );
+    }
+
+    if (items.length > 0 && references.length === 0) {
+        throw new ResponseValidationError(
+            `None of the ${items.length} references match schema ${SCHEMA_VERSION}: ${rejected[0].errors.join('; ')}`,
+            { errors: rejected, repairs }
+        );
+    }
+
+    return { references, repairs, rejected };
+}
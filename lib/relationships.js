@@ -0,0 +1,247 @@
+/**
+ * What a circular does to the documents it cites.
+ *
+ * Each reference is tagged with a `relationship` (modifies, supersedes,
+ * rescinds, extends, clarifies, or the neutral refers_to), the
+ * `affected_provision` ("Para 33.1.3", "Clause 29") and an `effective_date`
+ * when the text states one. The AI may supply these fields; otherwise they are
+ * read from the wording around the reference ("... stands modified as under",
+ * "timeline is extended to ..."). `circularStatus` combines every analysis in
+ * the collection to say whether a circular or paragraph is still in force.
+ */
+
+import { isoDate } from './canonical-references.js';
+import { resolveNodes } from './impact-analysis.js';
+
+// In order of precedence when mentions of one document disagree.
+export const RELATIONSHIPS = ['rescinds', 'supersedes', 'modifies', 'extends', 'clarifies', 'refers_to'];
+
+const PATTERNS = {
+    rescinds: /\b(?:rescind(?:s|ed)?|repeal(?:s|ed)?|stands? withdrawn|withdraw(?:s|n)?|shall cease to (?:be in force|have effect|apply))\b/i,
+    supersedes: /\b(?:supersed(?:e|es|ed|ing)|in supersession of|replac(?:e|es|ed|ing))\b/i,
+    modifies: /\b(?:modif(?:y|ies|ied)|amend(?:s|ed)?|substitut(?:e|es|ed)|revis(?:e|es|ed)|omitted|inserted)\b/i,
+    extends: /\b(?:extend(?:s|ed)?|extension of)\b/i,
+    clarifies: /\b(?:clarif(?:y|ies|ied|ication|ications)|it is clarified)\b/i
+};
+
+// Boilerplate that mentions amendment without amending anything.
+const BOILERPLATE = /\bas (?:modified|amended|revised) from time to time\b/gi;
+
+const DATE = '(?:January|February|March|April|May|June|July|August|September|October|November|December)\\s+\\d{1,2},?\\s+\\d{4}';
+const EFFECTIVE_DATE = [
+    new RegExp(`(?:with effect from|effective from|w\\.e\\.f\\.?|come into (?:force|effect) (?:from|on)|applicable (?:from|with effect from))\\s+(?:the\\s+)?(${DATE})`, 'i'),
+    new RegExp(`extended[^.;]{0,80}?\\b(?:to|till|until|up\\s?to)\\s+(${DATE})`, 'i')
+];
+
+const PROVISION = /\b((?:[Pp]ara(?:graph)?|[Cc]lause|[Ss]ection|[Rr]egulation|[Cc]hapter|[Aa]nnexure|[Ss]chedule|[Pp]art)s?\s+(?:\d+(?:\.\d+)*[A-Za-z]?|[IVXLC]+(?:-[A-Z])?|[A-Z])(?:\s?\([0-9a-z]+\))*)(?![\w.])/;
+// "Annexure A of SEBI Circular <exact_text>": the provision sits just before the reference.
+const PROVISION_BEFORE = new RegExp(`${PROVISION.source}\\s+of\\s+(?:the\\s+)?(?:aforementioned\\s+|aforesaid\\s+|said\\s+)?(?:SEBI\\s*,?\\s+)?(?:[Mm]aster\\s+)?(?:[Cc]ircular(?:\\s+[Nn]o\\.?)?\\s*)?$`);
+
+// "Circular No. SEBI/..." does not end a clause.
+const CLAUSE_BREAK = /\s+and\s+|;|(?<!\b[Nn]o)\.\s|:\s/g;
+
+function normalizeDate(value) {
+    return isoDate(value) || (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null);
+}
+
+function collapse(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split `context` around the reference: the sentence and clause before it,
+ * the clause after it, and the whole context. Returns null parts when the
+ * reference text cannot be located.
+ */
+function windows(ref) {
+    const context = collapse(ref.context).replace(BOILERPLATE, ' ');
+    const needle = collapse(ref.exact_text);
+    const at = needle ? context.toLowerCase().indexOf(needle.toLowerCase()) : -1;
+    if (at < 0) {
+        return { sentence: null, before: null, after: null, whole: context };
+    }
+
+    const beforeText = context.slice(0, at);
+    const afterText = context.slice(at + needle.length);
+
+    let start = 0;
+    for (const match of beforeText.matchAll(CLAUSE_BREAK)) {
+        start = match.index + match[0].length;
+    }
+    const breakAfter = afterText.search(CLAUSE_BREAK);
+
+    // "No. SEBI/..." is not a sentence end; "circular. The" is.
+    const sentenceStart = [...beforeText.matchAll(/\.\s+(?=[A-Z][a-z])/g)].pop();
+
+    return {
+        sentence: beforeText.slice(sentenceStart ? sentenceStart.index + sentenceStart[0].length : 0),
+        before: beforeText.slice(start),
+        after: breakAfter >= 0 ? afterText.slice(0, breakAfter) : afterText,
+        whole: context
+    };
+}
+
+function relationshipIn(text) {
+    if (!text) {
+        return null;
+    }
+    return RELATIONSHIPS.slice(0, -1).find(relationship => PATTERNS[relationship].test(text)) || null;
+}
+
+/**
+ * Classify one reference from its wording. Returns
+ * `{ relationship, affected_provision, effective_date }`.
+ */
+export function classifyRelationship(ref) {
+    const { sentence, before, after, whole } = windows(ref);
+
+    let relationship;
+    // "SEBI vide Circular dated ... extended the timeline": the verb is what the
+    // cited circular did, not what this one does to it.
+    if (sentence && /\bvide\b[^;]{0,100}$/i.test(sentence)) {
+        relationship = 'refers_to';
+    } else {
+        // The whole context is only a fallback when the reference cannot be
+        // located in it; otherwise a verb about some other document would leak in.
+        relationship = (sentence === null ? relationshipIn(whole) : relationshipIn(after) || relationshipIn(before)) || 'refers_to';
+    }
+
+    const provision = collapse(ref.exact_text).match(PROVISION)?.[1] ||
+        (before ? before.match(PROVISION_BEFORE)?.[1] : null) ||
+        ref.provision ||
+        null;
+
+    let effectiveDate = null;
+    if (relationship !== 'refers_to') {
+        for (const pattern of EFFECTIVE_DATE) {
+            const match = whole.match(pattern);
+            if (match) {
+                effectiveDate = isoDate(match[1]);
+                break;
+            }
+        }
+    }
+
+    return { relationship, affected_provision: provision, effective_date: effectiveDate };
+}
+
+/**
+ * "This circular shall come into force with effect from September 05, 2025"
+ * - the date from which the circular's own changes apply. Only an explicit
+ * date counts; "with immediate effect" leaves it to the circular's issue date,
+ * which the first date in the text does not reliably give.
+ */
+export function documentEffectiveDate(text) {
+    const collapsed = String(text ?? '').replace(/\s+/g, ' ');
+    const dated = new RegExp(`(?:this circular|provisions of this circular)[^.;]{0,40}?(?:come into (?:force|effect)|be (?:effective|applicable))\\s+(?:with effect\\s+)?(?:from|on)\\s+(${DATE})`, 'i');
+    const match = collapsed.match(dated);
+    return match ? isoDate(match[1]) : null;
+}
+
+/**
+ * Tag every reference. Values supplied by the AI are kept when valid and
+ * recorded as `relationship_source: 'ai'`. `effectiveDate` (see
+ * `documentEffectiveDate`) applies to changes whose own wording gives none.
+ */
+export function classifyReferences(references, { effectiveDate = null } = {}) {
+    return references.map(ref => {
+        const classified = classifyRelationship(ref);
+        if (classified.relationship !== 'refers_to' && !classified.effective_date) {
+            classified.effective_date = effectiveDate;
+        }
+        if (RELATIONSHIPS.includes(ref.relationship)) {
+            return {
+                ...ref,
+                affected_provision: ref.affected_provision || classified.affected_provision,
+                effective_date: normalizeDate(ref.effective_date) ||
+                    (ref.relationship !== 'refers_to' ? classified.effective_date || effectiveDate : null),
+                relationship_source: 'ai'
+            };
+        }
+        return { ...ref, ...classified, relationship_source: 'rules' };
+    });
+}
+
+export function strongestRelationship(references) {
+    return [...references].sort((a, b) =>
+        RELATIONSHIPS.indexOf(a.relationship || 'refers_to') - RELATIONSHIPS.indexOf(b.relationship || 'refers_to')
+    )[0];
+}
+
+function provisionKey(value) {
+    return String(value ?? '')
+        .toLowerCase()
+        .replace(/\b(?:para(?:graph)?|clause|section|regulation|chapter|annexure|schedule|part)s?\b/g, '')
+        .replace(/\s+/g, '');
+}
+
+function provisionsOverlap(a, b) {
+    const x = provisionKey(a);
+    const y = provisionKey(b);
+    return x === y || x.startsWith(`${y}.`) || y.startsWith(`${x}.`) || x.startsWith(`${y}(`) || y.startsWith(`${x}(`);
+}
+
+/**
+ * Decide whether the circular (or one of its paragraphs) matching `query` is
+ * still in force, from every mention in the citation graph. Returns
+ * `{ query, provision, matched, status, events, cited_by }` where `status` is
+ * one of rescinded, superseded, amended, clarified or in_force.
+ */
+export function circularStatus(graph, query, { provision = null } = {}) {
+    const matched = resolveNodes(graph, query);
+    const events = [];
+    const citedBy = new Set();
+
+    for (const id of matched) {
+        for (const edge of graph.incoming(id)) {
+            const source = graph.nodes.get(edge.source) || { id: edge.source };
+            for (const mention of edge.mentions) {
+                const relationship = mention.relationship || 'refers_to';
+                if (relationship === 'refers_to') {
+                    citedBy.add(edge.source);
+                    continue;
+                }
+                // A change to another paragraph does not touch the one asked about.
+                if (provision && mention.affected_provision && !provisionsOverlap(mention.affected_provision, provision)) {
+                    continue;
+                }
+                events.push({
+                    target: id,
+                    source: edge.source,
+                    source_label: source.label || edge.source,
+                    source_date: isoDate(source.date),
+                    relationship,
+                    affected_provision: mention.affected_provision || null,
+                    effective_date: mention.effective_date || null,
+                    page_number: mention.page_number ?? null,
+                    exact_text: mention.exact_text || null,
+                    context: mention.context || null
+                });
+            }
+        }
+    }
+
+    events.sort((a, b) => String(a.effective_date || a.source_date || '').localeCompare(String(b.effective_date || b.source_date || '')));
+
+    // Rescinding one paragraph amends the circular; it ends only the paragraph itself.
+    const wholeOrAsked = event => !event.affected_provision || Boolean(provision);
+    let status = 'in_force';
+    if (events.some(event => event.relationship === 'rescinds' && wholeOrAsked(event))) {
+        status = 'rescinded';
+    } else if (events.some(event => event.relationship === 'supersedes' && wholeOrAsked(event))) {
+        status = 'superseded';
+    } else if (events.some(event => event.relationship !== 'clarifies')) {
+        status = 'amended';
+    } else if (events.length > 0) {
+        status = 'clarified';
+    }
+
+    return {
+        query,
+        provision,
+        matched: matched.map(id => graph.nodes.get(id)),
+        status,
+        events,
+        cited_by: [...citedBy].filter(source => !events.some(event => event.source === source))
+    };
+}
@@ -0,0 +1,137 @@
+/**
+ * Shared report model.
+ *
+ * Every report format (HTML, Markdown, CSV, XLSX) is rendered from the model
+ * built here out of a saved analysis (the JSON written by `saveResults`), so
+ * the formats can never disagree about which references exist or what their
+ * fields say. `COLUMNS` is the single list of per-reference fields.
+ */
+
+import path from 'path';
+
+export const COLUMNS = [
+    { key: 'index', header: '#' },
+    { key: 'status', header: 'Status' },
+    { key: 'reference_type', header: 'Type' },
+    { key: 'exact_text', header: 'Reference' },
+    { key: 'title', header: 'Title' },
+    { key: 'circular_number', header: 'Circular Number' },
+    { key: 'canonical_id', header: 'Canonical ID' },
+    { key: 'pages', header: 'Pages' },
+    { key: 'mention_count', header: 'Mentions' },
+    { key: 'confidence', header: 'Confidence' },
+    { key: 'detected_by', header: 'Found By' },
+    { key: 'relationship', header: 'Relationship' },
+    { key: 'affected_provision', header: 'Affected Provision' },
+    { key: 'effective_date', header: 'Effective Date' },
+    { key: 'local_file', header: 'Local File' },
+    { key: 'match_score', header: 'Match Score' },
+    { key: 'match_signals', header: 'Match Signals' },
+    { key: 'grounding', header: 'Grounding' },
+    { key: 'context', header: 'Context' },
+    { key: 'reasoning', header: 'Reasoning' },
+    { key: 'note', header: 'Note' }
+];
+
+export const STATUS_LABELS = {
+    local: 'Local',
+    obtained: 'Obtained',
+    external: 'External',
+    ambiguous: 'Confirm match',
+    ungrounded: 'Ungrounded'
+};
+
+function referenceStatus(ref) {
+    if (ref.grounded === false) {
+        return 'ungrounded';
+    }
+    if (ref.availability_status === 'available_locally') {
+        return 'local';
+    }
+    if (ref.local_match?.status === 'ambiguous') {
+        return 'ambiguous';
+    }
+    return ref.availability_status === 'obtained_external' ? 'obtained' : 'external';
+}
+
+function toRow(ref, index) {
+    const occurrences = ref.occurrences || [ref];
+    const pages = [...new Set(occurrences.map(occurrence => occurrence.page_number).filter(page => page != null))];
+
+    return {
+        index,
+        status: referenceStatus(ref),
+        reference_type: ref.reference_type || 'other',
+        exact_text: ref.exact_text || '',
+        title: ref.title || '',
+        circular_number: ref.circular_number || '',
+        canonical_id: ref.canonical_id || '',
+        pages,
+        mention_count: occurrences.length,
+        confidence: (ref.confidence || 'unknown').toLowerCase(),
+        detected_by: ref.detected_by || [],
+        relationship: ref.relationship || '',
+        affected_provision: ref.affected_provision || '',
+        effective_date: ref.effective_date || '',
+        local_file: ref.local_file?.filename || '',
+        local_file_path: ref.local_file?.file_path || null,
+        match_score: ref.local_match?.score ?? '',
+        match_signals: ref.local_match?.signals || [],
+        candidates: ref.local_match?.candidates || [],
+        grounding: ref.grounding ? `${ref.grounding.method} (${ref.grounding.score})` : '',
+        context: ref.context || '',
+        reasoning: ref.reasoning || '',
+        note: ref.note || '',
+        occurrences: occurrences.map(occurrence => ({
+            page_number: occurrence.page_number ?? null,
+            exact_text: occurrence.exact_text || '',
+            context: occurrence.context || ''
+        }))
+    };
+}
+
+/**
+ * Build the report model for one saved analysis.
+ */
+export function buildReportModel(analysis) {
+    const sourcePath = analysis.source_file_full_path || null;
+    const references = [...(analysis.all_references || []), ...(analysis.ungrounded_references || [])];
+
+    return {
+        title: `Reference Analysis: ${analysis.source_file}`,
+        source_file: analysis.source_file,
+        source_path: sourcePath,
+        source_name: sourcePath ? path.basename(sourcePath) : analysis.source_file,
+        analysis_date: analysis.analysis_date,
+        analysis_method: analysis.analysis_method,
+        engine: analysis.engine || 'ai',
+        llm: analysis.llm || null,
+        summary: analysis.summary || {},
+        columns: COLUMNS,
+        rows: references.map((ref, i) => toRow(ref, i + 1))
+    };
+}
+
+/**
+ * "modifies · Para 33.1.3 · 2025-09-01", or '' for a plain citation.
+ */
+export function describeRelationship(row) {
+    if (!row.relationship || row.relationship === 'refers_to') {
+        return '';
+    }
+    return [row.relationship, row.affected_provision, row.effective_date].filter(Boolean).join(' · ');
+}
+
+/**
+ * A row value as plain text (arrays joined), for CSV, XLSX and Markdown.
+ */
+export function cellText(row, key) {
+    const value = row[key];
+    if (Array.isArray(value)) {
+        return value.join(key === 'pages' ? ', ' : '; ');
+    }
+    if (key === 'status') {
+        return STATUS_LABELS[value] || value;
+    }
+    return value == null ? '' : String(value);
+}
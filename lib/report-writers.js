@@ -0,0 +1,248 @@
+/**
+ * Report writers: HTML, Markdown, CSV and XLSX, all rendered from the shared
+ * report model (see report-model.js). The JSON analysis is always written by
+ * `saveResults`; these are extra, human-friendly views of the same data.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { STATUS_LABELS, buildReportModel, cellText, describeRelationship } from './report-model.js';
+
+export const REPORT_FORMATS = ['html', 'md', 'csv', 'xlsx'];
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Link to a PDF relative to the report, opened at `page` (PDF viewers honour
+ * the `#page=` fragment).
+ */
+function pdfHref(filePath, page, outputDir) {
+    const relative = path.relative(path.resolve(outputDir), filePath).split(path.sep).join('/');
+    return `${encodeURI(relative)}${page ? `#page=${page}` : ''}`;
+}
+
+export function renderHtml(model, { outputDir = '.' } = {}) {
+    const summary = model.summary;
+    const pageLinks = row => row.pages.map(page => model.source_path
+        ? `<a href="${escapeHtml(pdfHref(model.source_path, page, outputDir))}">p. ${page}</a>`
+        : `p. ${page}`).join(', ') || 'N/A';
+
+    const rows = model.rows.map(row => {
+        const target = row.local_file_path
+            ? `<a href="${escapeHtml(pdfHref(row.local_file_path, null, outputDir))}">${escapeHtml(row.local_file)}</a>`
+            : escapeHtml(row.candidates.map(candidate => `${candidate.filename}?`).join(', '));
+        const mentions = row.occurrences.map(occurrence =>
+            `<li><strong>p. ${escapeHtml(occurrence.page_number ?? 'N/A')}</strong> ${escapeHtml(occurrence.context || occurrence.exact_text)}</li>`
+        ).join('');
+
+        return `
+      <tr class="status-${row.status}" data-confidence="${escapeHtml(row.confidence)}" data-status="${row.status}">
+        <td>${row.index}</td>
+        <td><span class="badge ${row.status}">${STATUS_LABELS[row.status]}</span></td>
+        <td>
+          <div class="ref">${escapeHtml(row.exact_text)}</div>
+          ${row.title ? `<div class="muted">${escapeHtml(row.title)}</div>` : ''}
+          <details><summary>Context (${row.mention_count} mention${row.mention_count === 1 ? '' : 's'})</summary><ul>${mentions}</ul>${row.reasoning ? `<p class="muted">${escapeHtml(row.reasoning)}</p>` : ''}</details>
+        </td>
+        <td>${escapeHtml(row.reference_type.replace(/_/g, ' '))}</td>
+        <td>${pageLinks(row)}</td>
+        <td>${escapeHtml(row.confidence)}</td>
+        <td>${escapeHtml(describeRelationship(row))}</td>
+        <td>${target}${row.match_score !== '' && row.match_signals.length > 0 ? `<div class="muted">${row.match_score} (${escapeHtml(row.match_signals.join(', '))})</div>` : ''}</td>
+      </tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(model.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #222; }
+  h1 { font-size: 1.4rem; }
+  .meta, .muted { color: #666; font-size: 0.85rem; }
+  .cards { display: flex; gap: 1rem; margin: 1rem 0; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 0.6rem 1rem; }
+  .card b { display: block; font-size: 1.3rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border-bottom: 1px solid #eee; padding: 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f6f6f6; }
+  .badge { border-radius: 4px; padding: 0.1rem 0.4rem; font-size: 0.8rem; white-space: nowrap; }
+  .badge.local { background: #e3f6e8; color: #1b6b34; }
+  .badge.obtained { background: #e3eefb; color: #1e4e8c; }
+  .badge.external { background: #fde8e8; color: #9b1c1c; }
+  .badge.ambiguous { background: #fff4d6; color: #8a5a00; }
+  .badge.ungrounded { background: #f1e6fb; color: #6b21a8; }
+  details summary { cursor: pointer; color: #0b5cad; font-size: 0.85rem; }
+  .filters { margin: 1rem 0; }
+  .filters label { margin-right: 1rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(model.title)}</h1>
+<div class="meta">
+  Analyzed ${escapeHtml(model.analysis_date)} · ${escapeHtml(model.analysis_method || model.engine)}${model.llm ? ` · ${escapeHtml(model.llm.provider)} / ${escapeHtml(model.llm.model)}` : ''}
+  ${model.source_path ? `· <a href="${escapeHtml(pdfHref(model.source_path, null, outputDir))}">${escapeHtml(model.source_name)}</a>` : ''}
+</div>
+<div class="cards">
+  <div class="card"><b>${summary.total_references ?? 0}</b>references</div>
+  <div class="card"><b>${summary.local_references ?? 0}</b>local</div>
+  <div class="card"><b>${summary.obtained_external ?? 0}</b>obtained</div>
+  <div class="card"><b>${summary.missing_references ?? summary.external_references ?? 0}</b>missing</div>
+  <div class="card"><b>${summary.ambiguous_local_matches ?? 0}</b>to confirm</div>
+  <div class="card"><b>${summary.ungrounded_references ?? 0}</b>ungrounded</div>
+</div>
+<div class="filters">
+  Confidence:
+  <label><input type="checkbox" data-filter="confidence" value="high" checked> high</label>
+  <label><input type="checkbox" data-filter="confidence" value="medium" checked> medium</label>
+  <label><input type="checkbox" data-filter="confidence" value="low" checked> low</label>
+  <label><input type="checkbox" data-filter="confidence" value="unknown" checked> unknown</label>
+</div>
+<table>
+  <thead>
+    <tr><th>#</th><th>Status</th><th>Reference</th><th>Type</th><th>Pages</th><th>Confidence</th><th>Relationship</th><th>Local File</th></tr>
+  </thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+<script>
+  const boxes = document.querySelectorAll('input[data-filter="confidence"]');
+  const apply = () => {
+    const shown = new Set([...boxes].filter(box => box.checked).map(box => box.value));
+    document.querySelectorAll('tbody tr').forEach(row => {
+      row.style.display = shown.has(row.dataset.confidence) ? '' : 'none';
+    });
+  };
+  boxes.forEach(box => box.addEventListener('change', apply));
+</script>
+</body>
+</html>
+`;
+}
+
+function escapeMarkdown(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+export function renderMarkdown(model) {
+    const summary = model.summary;
+    const lines = [
+        `# ${model.title}`,
+        '',
+        `- Analyzed: ${model.analysis_date}`,
+        `- Method: ${model.analysis_method || model.engine}${model.llm ? ` (${model.llm.provider} / ${model.llm.model})` : ''}`,
+        `- References: ${summary.total_references ?? 0} (${summary.local_references ?? 0} local, ${summary.obtained_external ?? 0} obtained, ${summary.missing_references ?? summary.external_references ?? 0} missing, ${summary.ambiguous_local_matches ?? 0} to confirm, ${summary.ungrounded_references ?? 0} ungrounded)`,
+        ''
+    ];
+
+    for (const status of Object.keys(STATUS_LABELS)) {
+        const rows = model.rows.filter(row => row.status === status);
+        if (rows.length === 0) {
+            continue;
+        }
+        lines.push(`## ${STATUS_LABELS[status]} (${rows.length})`, '');
+        lines.push('| # | Reference | Type | Pages | Confidence | Relationship | Local File |');
+        lines.push('|---|---|---|---|---|---|---|');
+        for (const row of rows) {
+            lines.push(`| ${row.index} | ${escapeMarkdown(row.exact_text)} | ${escapeMarkdown(row.reference_type)} | ${cellText(row, 'pages')} | ${row.confidence} | ${escapeMarkdown(describeRelationship(row))} | ${escapeMarkdown(row.local_file)} |`);
+        }
+        lines.push('');
+    }
+
+    lines.push('## Context', '');
+    for (const row of model.rows) {
+        const quotes = row.occurrences.map(occurrence =>
+            `> p. ${occurrence.page_number ?? 'N/A'}: ${escapeMarkdown(occurrence.context || occurrence.exact_text)}`);
+        lines.push(`**${row.index}. ${escapeMarkdown(row.exact_text)}**`, '', quotes.join('\n>\n'), '');
+    }
+
+    return lines.join('\n');
+}
+
+function csvField(value) {
+    // Spreadsheets run cells starting with these as formulas; a leading quote keeps them as text.
+    const raw = String(value ?? '');
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function renderCsv(model) {
+    const lines = [model.columns.map(column => csvField(column.header)).join(',')];
+    for (const row of model.rows) {
+        lines.push(model.columns.map(column => csvField(cellText(row, column.key))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+export async function writeXlsx(model, outputFile) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(model.analysis_date || Date.now());
+
+    const sheet = workbook.addWorksheet('References', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = model.columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: ['exact_text', 'title', 'context', 'reasoning'].includes(column.key) ? 50 : 16
+    }));
+    for (const row of model.rows) {
+        // Keep numbers numeric so Excel can sort and filter them.
+        sheet.addRow(Object.fromEntries(model.columns.map(column => [
+            column.key, typeof row[column.key] === 'number' ? row[column.key] : cellText(row, column.key)
+        ])));
+    }
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: model.columns.length } };
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [{ header: 'Field', key: 'field', width: 30 }, { header: 'Value', key: 'value', width: 60 }];
+    summarySheet.addRow({ field: 'Source file', value: model.source_file });
+    summarySheet.addRow({ field: 'Analysis date', value: model.analysis_date });
+    summarySheet.addRow({ field: 'Method', value: model.analysis_method || model.engine });
+    for (const [field, value] of Object.entries(model.summary)) {
+        summarySheet.addRow({ field, value: typeof value === 'object' ? JSON.stringify(value) : value });
+    }
+    summarySheet.getRow(1).font = { bold: true };
+
+    await workbook.xlsx.writeFile(outputFile);
+}
+
+/**
+ * Write `formats` for one saved analysis next to each other in `outputDir`
+ * as `<baseName>.<format>`. Returns the written paths.
+ */
+export async function writeReports(analysis, { formats, outputDir = '.', baseName }) {
+    const model = buildReportModel(analysis);
+    const written = [];
+    await fs.ensureDir(outputDir);
+
+    for (const format of formats) {
+        const outputFile = path.join(outputDir, `${baseName}.${format}`);
+        switch (format) {
+            case 'html':
+                await fs.writeFile(outputFile, renderHtml(model, { outputDir }));
+                break;
+            case 'md':
+                await fs.writeFile(outputFile, renderMarkdown(model));
+                break;
+            case 'csv':
+                await fs.writeFile(outputFile, renderCsv(model));
+                break;
+            case 'xlsx':
+                await writeXlsx(model, outputFile);
+                break;
+            default:
+                throw new Error(`Unknown report format '${format}' (expected ${REPORT_FORMATS.join(', ')})`);
+        }
+        written.push(outputFile);
+    }
+
+    return written;
+}
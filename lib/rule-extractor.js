@@ -0,0 +1,272 @@
+/**
+ * Deterministic, rule-based reference extractor.
+ *
+ * Finds SEBI circular numbers, "SEBI (X) Regulations, YYYY", Acts (with any
+ * section/regulation/para prefix), Master Circular paragraph citations and
+ * "dated <date>" qualifiers without calling a model. Output uses the same
+ * reference schema as the AI engine so both can be merged (`--engine hybrid`).
+ */
+
+export const ENGINES = ['ai', 'rules', 'hybrid'];
+
+const MONTH = '(?:January|February|March|April|May|June|July|August|September|October|November|December)';
+const DATE = `(?:${MONTH}\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4}|\\d{1,2}[-/.]\\d{1,2}[-/.]\\d{4})`;
+
+const DATED_SUFFIX = new RegExp(`^\\s*(?:\\([^()]{1,60}\\)\\s*)?,?\\s*dated\\s+(${DATE})`, 'i');
+
+// "Section 11 (1) of the", "Regulations 21, 22(1) and 22(6) of", "Para 33.1.3 of Chapter 5 of the"
+const PROVISION_NUMBER = '\\d+[A-Z]?(?:\\.\\d+)*(?:\\s?\\([0-9a-z]+\\))*';
+const PROVISION_PREFIX = new RegExp(
+    `\\b((?:Section|Regulation|Rule|Clause|Para(?:graph)?)s?\\s+${PROVISION_NUMBER}(?:\\s*(?:,|and)\\s*${PROVISION_NUMBER})*` +
+    `(?:\\s+of\\s+Chapter\\s+[IVXLC\\d]+(?:\\s*\\([^()]{1,60}\\))?)?)\\s+of\\s+(?:the\\s+)?$`,
+    'i'
+);
+
+const RULES = [
+    {
+        name: 'master_circular',
+        reference_type: 'sebi_circular',
+        pattern: /\b(?:SEBI\s+)?(?:[A-Z]{2,}\s+)?Master Circular(?:\s+for\s+(?:the\s+)?[A-Za-z][A-Za-z-]*(?:\s+[A-Za-z][A-Za-z-]*){0,11}?(?:\s*\([A-Z][A-Za-z&]*\))?)?(?=\s+(?:dated|stands|shall|is|are|was|has|have|in|read|as|vide|on|with|which|issued|and\s+(?:para|SEBI|the))\b|\s*[,.;:“"‘'(\d]|\s*$)/g,
+        describe: () => 'SEBI Master Circular citation'
+    },
+    {
+        name: 'sebi_circular_number',
+        reference_type: 'sebi_circular',
+        pattern: /\bSEBI\/(?:\s?[A-Za-z0-9_.-]+(?:-\s|\s)?[A-Za-z0-9_.-]*\/){1,7}\s?(?:CIR)?\d{4}\/\s?\d+\b/g,
+        describe: () => 'SEBI circular number pattern'
+    },
+    {
+        name: 'rbi_circular_number',
+        reference_type: 'rbi_circular',
+        pattern: /\bRBI\/\d{4}-\d{2}\/\d+\b/g,
+        describe: () => 'RBI circular number pattern'
+    },
+    {
+        name: 'regulations',
+        reference_type: 'sebi_regulation',
+        pattern: /\b(?:SEBI|Securities and Exchange Board of India|Securities Contracts)(?:\s*\([^()]{2,120}\))+\s*Regulations,?\s*\d{4}/g,
+        describe: () => 'Named regulations with year'
+    },
+    {
+        name: 'act',
+        reference_type: 'other_law',
+        pattern: /\b(?:[A-Z][A-Za-z-]*|\([A-Z][A-Za-z ]*\))(?:\s+(?:[A-Z][A-Za-z-]*|\([A-Z][A-Za-z ]*\)|and|of|for))*\s+Act,?\s*\d{4}/g,
+        describe: () => 'Act with year'
+    },
+    {
+        name: 'dated_circular',
+        reference_type: 'sebi_circular',
+        pattern: new RegExp(`\\b(?:SEBI\\s+)?[Cc]ircular\\s+dated\\s+${DATE}`, 'g'),
+        describe: () => 'Circular identified only by date'
+    }
+];
+
+export function normalizeWhitespace(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+export function normalizeCircularNumber(number) {
+    return String(number ?? '').toUpperCase()
+        .replace(/-\s+/g, '-')
+        .replace(/\s*\/\s*/g, '/')
+        .replace(/\/CIR(?=\d{4}\/)/, '/CIR/')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Issuing department from a circular number:
+ * "SEBI/HO/MIRSD/MIRSD-PoD/P/CIR/2025/67" -> "MIRSD", "SEBI/HO/DEPA-II/..." -> "DEPA-II".
+ */
+export function departmentCode(number) {
+    const parts = normalizeCircularNumber(number).split('/').map(part => part.trim());
+    if (parts[0] !== 'SEBI') {
+        return null;
+    }
+    const code = parts[parts[1] === 'HO' ? 2 : 1];
+    return code && /^[A-Z][A-Z&]+(?:-[A-Z0-9]+)?$/.test(code) && !['CIR', 'GN'].includes(code) ? code : null;
+}
+
+function cleanTitle(text) {
+    return text
+        .replace(/^(?:the|The)\s+/, '')
+        .replace(/,?\s*(\d{4})$/, ', $1')
+        .trim();
+}
+
+function sentenceAround(text, start, end) {
+    let from = start;
+    while (from > 0 && start - from < 250) {
+        const prev = text.slice(Math.max(0, from - 4), from);
+        if (/[.;:]\s$/.test(prev) && !/\b(?:No|no|Nos|vide)\.\s$/.test(text.slice(Math.max(0, from - 6), from))) {
+            break;
+        }
+        from--;
+    }
+
+    let to = end;
+    while (to < text.length && to - end < 250) {
+        if (/[.;:]/.test(text[to]) && /\s/.test(text[to + 1] ?? ' ') && !/\bNo$/i.test(text.slice(Math.max(0, to - 3), to))) {
+            to++;
+            break;
+        }
+        to++;
+    }
+
+    return text.slice(from, to).trim();
+}
+
+function buildReference(rule, match, pageText, pageNumber) {
+    let start = match.index;
+    let end = match.index + match[0].length;
+    let exactText = match[0];
+    let provision = null;
+
+    const prefix = pageText.slice(Math.max(0, start - 120), start).match(PROVISION_PREFIX);
+    if (prefix && rule.name !== 'sebi_circular_number' && rule.name !== 'dated_circular') {
+        provision = prefix[1];
+        start -= prefix[0].length;
+        exactText = pageText.slice(start, end);
+    }
+
+    let dated = null;
+    const suffix = pageText.slice(end, end + 80).match(DATED_SUFFIX);
+    if (suffix && rule.name !== 'dated_circular') {
+        dated = suffix[1];
+        end += suffix[0].length;
+        exactText = pageText.slice(start, end);
+    }
+
+    let circularNumber = null;
+    let title = cleanTitle(match[0]);
+    let referenceType = rule.reference_type;
+
+    if (rule.name === 'sebi_circular_number' || rule.name === 'rbi_circular_number') {
+        circularNumber = normalizeCircularNumber(match[0]);
+        title = dated ? `Circular dated ${dated}` : null;
+        if (/\/GN\//.test(circularNumber)) {
+            referenceType = 'sebi_regulation';
+            title = `Gazette Notification ${circularNumber}`;
+        }
+    } else if (rule.name === 'dated_circular') {
+        dated = match[0].replace(/^.*dated\s+/i, '');
+        title = `SEBI circular dated ${dated}`;
+    } else if (rule.name === 'act' && /\bCompanies Act\b/i.test(match[0])) {
+        referenceType = 'companies_act';
+    }
+
+    return {
+        exact_text: exactText.trim(),
+        reference_type: referenceType,
+        circular_number: circularNumber,
+        title,
+        page_number: pageNumber,
+        context: sentenceAround(pageText, start, end),
+        confidence: rule.name === 'dated_circular' ? 'medium' : 'high',
+        reasoning: `Rule-based match: ${rule.describe()}${provision ? ` (${provision})` : ''}${dated ? ` dated ${dated}` : ''}`,
+        provision,
+        dated,
+        _span: [start, end]
+    };
+}
+
+function overlaps(a, b) {
+    return a[0] < b[1] && b[0] < a[1];
+}
+
+/**
+ * Extract references from per-page text.
+ *
+ * `localCirculars` is used to set `matched_target` when a circular number
+ * matches a local file; `sourceCircularNumber` excludes self-references.
+ */
+export function extractReferencesWithRules(pages, { localCirculars = {}, sourceCircularNumber = null } = {}) {
+    const localByNumber = new Map();
+    for (const [filename, circular] of Object.entries(localCirculars)) {
+        if (circular.circular_number) {
+            localByNumber.set(normalizeCircularNumber(circular.circular_number), filename);
+        }
+    }
+    const ownNumber = sourceCircularNumber ? normalizeCircularNumber(sourceCircularNumber) : null;
+
+    const references = [];
+
+    pages.forEach((rawPage, index) => {
+        const pageText = normalizeWhitespace(rawPage);
+        const accepted = [];
+
+        // Rules are ordered by specificity; a later rule never claims text an earlier one matched.
+        for (const rule of RULES) {
+            rule.pattern.lastIndex = 0;
+            for (const match of pageText.matchAll(rule.pattern)) {
+                const ref = buildReference(rule, match, pageText, index + 1);
+                if (accepted.some(other => overlaps(other._span, ref._span))) {
+                    continue;
+                }
+                if (ownNumber && ref.circular_number === ownNumber) {
+                    continue;
+                }
+                accepted.push(ref);
+            }
+        }
+
+        accepted.sort((a, b) => a._span[0] - b._span[0]);
+        for (const ref of accepted) {
+            delete ref._span;
+            ref.matched_target = (ref.circular_number && localByNumber.get(ref.circular_number)) || 'external_reference';
+            ref.detected_by = ['rules'];
+            references.push(ref);
+        }
+    });
+
+    return references;
+}
+
+function comparable(text) {
+    return normalizeWhitespace(text).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function sameReference(aiRef, ruleRef, { samePage }) {
+    if (samePage && Number(aiRef.page_number) !== Number(ruleRef.page_number)) {
+        return false;
+    }
+    if (aiRef.circular_number && ruleRef.circular_number &&
+        normalizeCircularNumber(aiRef.circular_number) === ruleRef.circular_number) {
+        return true;
+    }
+
+    const a = comparable(aiRef.exact_text);
+    const b = comparable(ruleRef.exact_text);
+    return Boolean(a && b) && (a.includes(b) || b.includes(a));
+}
+
+/**
+ * Merge AI and rule hits for `--engine hybrid`. Each reference's
+ * `detected_by` lists the engines that found it.
+ */
+export function mergeReferences(aiRefs, ruleRefs) {
+    const merged = aiRefs.map(ref => ({ ...ref, detected_by: ['ai'] }));
+
+    for (const ruleRef of ruleRefs) {
+        // Each AI hit absorbs at most one rule hit so repeated mentions stay
+        // separate. Prefer a hit on the same page; the model's page numbers are
+        // not always right, so fall back to any page.
+        const unclaimed = merged.filter(ref => ref.detected_by.length === 1 && ref.detected_by[0] === 'ai');
+        const match = unclaimed.find(ref => sameReference(ref, ruleRef, { samePage: true })) ||
+            unclaimed.find(ref => sameReference(ref, ruleRef, { samePage: false }));
+        if (match) {
+            match.detected_by.push('rules');
+            if (!match.circular_number && ruleRef.circular_number) {
+                match.circular_number = ruleRef.circular_number;
+            }
+            if ((!match.matched_target || match.matched_target === 'external_reference') &&
+                ruleRef.matched_target !== 'external_reference') {
+                match.matched_target = ruleRef.matched_target;
+            }
+        } else {
+            merged.push({ ...ruleRef });
+        }
+    }
+
+    return merged;
+}
@@ -0,0 +1,259 @@
+/**
+ * Offline full-text search over the local circular collection.
+ *
+ * Every page of every indexed circular is a BM25 document. Only per-page term
+ * counts are stored (in `search-index.json`, keyed by PDF content hash like
+ * the circular index); page text for phrase checks and snippets comes from
+ * the circular index, so nothing is extracted twice and no AI is involved.
+ *
+ * Queries are words plus optional "quoted phrases": words are ranked with
+ * BM25, and a page must contain every phrase verbatim (case and punctuation
+ * aside) to match at all.
+ */
+
+import fs from 'fs-extra';
+import { isoDate } from './canonical-references.js';
+import { departmentCode } from './rule-extractor.js';
+import { circularHasEntity, matchesDepartment } from './taxonomy.js';
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// Standard BM25 parameters.
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_LENGTH = 240;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'which', 'with', 'shall', 'such'
+]);
+
+function normalize(text) {
+    return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Light plural folding so "margins" finds "margin" and "entities" finds "entity".
+function stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) {
+        return `${word.slice(0, -3)}y`;
+    }
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+export function tokenize(text) {
+    return normalize(text).split(' ').filter(word => word && !STOP_WORDS.has(word)).map(stem);
+}
+
+/**
+ * Split a query into ranked `terms` and required `phrases`.
+ */
+export function parseQuery(query) {
+    const phrases = [...String(query).matchAll(/"([^"]+)"/g)]
+        .map(match => normalize(match[1]))
+        .filter(phrase => phrase.includes(' '));
+    return { terms: [...new Set(tokenize(query.replace(/"/g, ' ')))], phrases };
+}
+
+/**
+ * Issue date of a local circular as YYYY-MM-DD. The dated filename prefix
+ * ("2025-06-01-...") wins, since the first date in the text is sometimes the
+ * date of a cited circular.
+ */
+export function circularDate(circular) {
+    return circular.filename?.match(/^(\d{4}-\d{2}-\d{2})/)?.[1] || isoDate(circular.date);
+}
+
+function termPattern(terms, phrases) {
+    const parts = [
+        ...phrases.map(phrase => phrase.split(' ').join('[^a-z0-9]+')),
+        // The same plural folding as `stem`, so highlights match what was counted.
+        ...terms.map(term => term.endsWith('y') ? `${term.slice(0, -1)}(?:y|ies)` : `${term}s?`)
+    ];
+    return new RegExp(`\\b(?:${parts.join('|')})\\b`, 'gi');
+}
+
+/**
+ * Pick the window of `text` holding the most distinct query terms (a phrase
+ * match first if there is one). Returns `{ text, highlights }` where
+ * `highlights` are [start, end] offsets into the snippet.
+ */
+export function snippet(text, terms, phrases) {
+    const collapsed = String(text ?? '').replace(/\s+/g, ' ').trim();
+    const matches = [...collapsed.matchAll(termPattern(terms, phrases))];
+
+    let start = 0;
+    if (matches.length > 0) {
+        let best = -1;
+        for (const match of matches) {
+            const inWindow = matches.filter(other => other.index >= match.index && other.index < match.index + SNIPPET_LENGTH);
+            // Phrase matches span several words; one in view outweighs any number of loose terms.
+            const value = new Set(inWindow.map(other => other[0].toLowerCase())).size +
+                (inWindow.some(other => /[^a-z0-9]/i.test(other[0])) ? 100 : 0);
+            if (value > best) {
+                best = value;
+                start = match.index;
+            }
+        }
+        start = Math.max(0, start - 60);
+        const space = collapsed.lastIndexOf(' ', start);
+        start = start > 0 && space >= 0 ? space + 1 : start;
+    }
+
+    const end = Math.min(collapsed.length, start + SNIPPET_LENGTH);
+    const body = collapsed.slice(start, end);
+    const highlights = [...body.matchAll(termPattern(terms, phrases))].map(match => [match.index, match.index + match[0].length]);
+
+    return {
+        text: `${start > 0 ? '…' : ''}${body}${end < collapsed.length ? '…' : ''}`,
+        highlights: start > 0 ? highlights.map(([from, to]) => [from + 1, to + 1]) : highlights
+    };
+}
+
+export class SearchIndex {
+    constructor(indexPath) {
+        this.indexPath = indexPath;
+        this.data = null;
+    }
+
+    async load() {
+        if (await fs.pathExists(this.indexPath)) {
+            const data = await fs.readJson(this.indexPath);
+            if (data.version === SEARCH_INDEX_VERSION) {
+                this.data = data;
+                return this.data;
+            }
+        }
+        this.data = { version: SEARCH_INDEX_VERSION, updated_at: null, documents: {} };
+        return this.data;
+    }
+
+    async save() {
+        this.data.updated_at = new Date().toISOString();
+        await fs.writeJson(this.indexPath, this.data);
+    }
+
+    /**
+     * Bring the term counts in line with a loaded CircularIndex: count the
+     * pages of new content and drop content no file points to any more.
+     * Returns `{ added, removed }` content-hash counts.
+     */
+    update(circularIndex) {
+        const hashes = new Set(Object.values(circularIndex.data.files)
+            .filter(entry => entry.status === 'indexed')
+            .map(entry => entry.hash));
+        let added = 0;
+        let removed = 0;
+
+        for (const hash of hashes) {
+            if (this.data.documents[hash]) {
+                continue;
+            }
+            this.data.documents[hash] = {
+                pages: circularIndex.data.documents[hash].pages.map(page => {
+                    const terms = {};
+                    const tokens = tokenize(page);
+                    for (const token of tokens) {
+                        terms[token] = (terms[token] || 0) + 1;
+                    }
+                    return { length: tokens.length, terms };
+                })
+            };
+            added++;
+        }
+        for (const hash of Object.keys(this.data.documents)) {
+            if (!hashes.has(hash)) {
+                delete this.data.documents[hash];
+                removed++;
+            }
+        }
+
+        return { added, removed };
+    }
+
+    /**
+     * Rank the pages of the circulars in `circularIndex` against `query`.
+     * Filters: `from`/`to` (YYYY-MM-DD, inclusive) on the issue date,
+     * `department` on the code in the circular number (DEPA also matches
+     * DEPA-II) and `entity` on the taxonomy entity types the circular is
+     * tagged with. Returns up to `limit` circulars, best first, each with its
+     * `pagesPerFile` best page hits.
+     */
+    search(query, circularIndex, { from = null, to = null, department = null, entity = null, limit = 10, pagesPerFile = 3 } = {}) {
+        const { terms, phrases } = parseQuery(query);
+        if (terms.length === 0) {
+            throw new Error('The query has no searchable words');
+        }
+
+        const circulars = Object.values(circularIndex.circulars())
+            .filter(circular => this.data.documents[circular.content_hash]);
+
+        // Collection statistics over every page, independent of the filters.
+        const allPages = circulars.flatMap(circular => this.data.documents[circular.content_hash].pages);
+        const averageLength = allPages.reduce((sum, page) => sum + page.length, 0) / Math.max(1, allPages.length);
+        const idf = Object.fromEntries(terms.map(term => {
+            const df = allPages.filter(page => page.terms[term]).length;
+            return [term, Math.log(1 + (allPages.length - df + 0.5) / (df + 0.5))];
+        }));
+
+        const results = [];
+
+        for (const circular of circulars) {
+            const date = circularDate(circular);
+            const code = departmentCode(circular.circular_number);
+            if ((from && (!date || date < from)) || (to && (!date || date > to))) {
+                continue;
+            }
+            if (department && !matchesDepartment(code, department)) {
+                continue;
+            }
+            if (entity && !circularHasEntity(circular, entity)) {
+                continue;
+            }
+
+            const texts = circularIndex.pages(circular.filename) || [];
+            const hits = [];
+            this.data.documents[circular.content_hash].pages.forEach((page, i) => {
+                let score = 0;
+                for (const term of terms) {
+                    const tf = page.terms[term] || 0;
+                    if (tf > 0) {
+                        score += idf[term] * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * page.length / averageLength));
+                    }
+                }
+                if (score === 0) {
+                    return;
+                }
+                if (phrases.length > 0) {
+                    const normalized = normalize(texts[i]);
+                    if (!phrases.every(phrase => normalized.includes(phrase))) {
+                        return;
+                    }
+                }
+                hits.push({ page: i + 1, score: Math.round(score * 100) / 100, snippet: snippet(texts[i], terms, phrases) });
+            });
+
+            if (hits.length === 0) {
+                continue;
+            }
+            hits.sort((a, b) => b.score - a.score || a.page - b.page);
+            results.push({
+                filename: circular.filename,
+                circular_number: circular.circular_number || null,
+                department: code,
+                entities: circular.entities || [],
+                date,
+                subject: circular.subject || null,
+                score: hits[0].score,
+                matching_pages: hits.length,
+                hits: hits.slice(0, pagesPerFile)
+            });
+        }
+
+        results.sort((a, b) => b.score - a.score || a.filename.localeCompare(b.filename));
+        return { query, terms, phrases, total: results.length, results: results.slice(0, limit) };
+    }
+}
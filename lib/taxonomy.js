@@ -0,0 +1,209 @@
+/**
+ * Taxonomy of regulated entity types and SEBI departments.
+ *
+ * The taxonomy file (`sebi-taxonomy.json`) lists each intermediary type with
+ * its synonyms and abbreviations, plus the names of the department codes that
+ * appear in circular numbers. Synonyms match case-insensitively and in the
+ * plural ("credit rating agency" also finds "Credit Rating Agencies");
+ * abbreviations match only in capitals, optionally with a plural "s" ("DPs").
+ * Where two entries overlap, the longer mention wins, so "depository
+ * participants" is never also counted as a depository.
+ *
+ * Circulars are tagged with the entity types they are addressed to (the "To,"
+ * block) or whose names appear in the subject; circulars without either fall
+ * back to the entity types the text keeps mentioning.
+ */
+
+import fs from 'fs-extra';
+import { departmentCode } from './rule-extractor.js';
+
+export const TAXONOMY_VERSION = 1;
+
+// Entity types mentioned at least this often count when the addressees and subject name none.
+const MIN_BODY_MENTIONS = 3;
+const MAX_BODY_ENTITIES = 3;
+
+const cache = new Map();
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "credit rating agency" -> credit\s+rating\s+agenc(?:y|ies); the last word takes the plural.
+function synonymPattern(synonym) {
+    const words = synonym.trim().split(/\s+/).map(escapeRegExp);
+    const last = words.pop();
+    const plural = /[^aeiou]y$/i.test(last)
+        ? `${last.slice(0, -1)}(?:y|ies)`
+        : /(?:s|x|ch|sh)$/i.test(last) ? `${last}(?:es)?` : `${last}s?`;
+    return [...words, plural].join('\\s+');
+}
+
+/**
+ * Validate raw taxonomy data and compile its match patterns.
+ */
+export function compileTaxonomy(data, source = 'taxonomy') {
+    if (data?.version !== TAXONOMY_VERSION || !Array.isArray(data.entities)) {
+        throw new Error(`${source} is not a version ${TAXONOMY_VERSION} taxonomy (expected { "version": ${TAXONOMY_VERSION}, "entities": [...] })`);
+    }
+
+    const ids = new Set();
+    const entities = data.entities.map((entity, i) => {
+        if (!entity.id || !entity.label || !Array.isArray(entity.synonyms)) {
+            throw new Error(`${source}: entity ${i + 1} needs an id, a label and a synonyms array`);
+        }
+        if (ids.has(entity.id)) {
+            throw new Error(`${source}: duplicate entity id '${entity.id}'`);
+        }
+        ids.add(entity.id);
+
+        const abbreviations = entity.abbreviations || [];
+        return {
+            id: entity.id,
+            label: entity.label,
+            synonyms: entity.synonyms,
+            abbreviations,
+            patterns: [
+                ...(entity.synonyms.length > 0 ? [new RegExp(`\\b(?:${entity.synonyms.map(synonymPattern).join('|')})\\b`, 'gi')] : []),
+                ...(abbreviations.length > 0 ? [new RegExp(`\\b(?:${abbreviations.map(escapeRegExp).join('|')})s?\\b`, 'g')] : [])
+            ]
+        };
+    });
+
+    return { version: data.version, entities, departments: data.departments || {} };
+}
+
+/**
+ * Load and compile a taxonomy file. Compiled taxonomies are cached per path.
+ */
+export function loadTaxonomy(file) {
+    if (!cache.has(file)) {
+        if (!fs.pathExistsSync(file)) {
+            throw new Error(`Taxonomy file not found: ${file}`);
+        }
+        cache.set(file, compileTaxonomy(fs.readJsonSync(file), file));
+    }
+    return cache.get(file);
+}
+
+export function entityById(taxonomy, id) {
+    return taxonomy.entities.find(entity => entity.id === id) || null;
+}
+
+/**
+ * Non-overlapping entity mentions in `text`, in order:
+ * `[{ id, label, index, text }]`.
+ */
+export function findEntities(text, taxonomy) {
+    const candidates = [];
+    for (const entity of taxonomy.entities) {
+        for (const pattern of entity.patterns) {
+            for (const match of String(text ?? '').matchAll(pattern)) {
+                candidates.push({ id: entity.id, label: entity.label, index: match.index, text: match[0] });
+            }
+        }
+    }
+
+    // Longest mention first, then keep only mentions that do not overlap a kept one.
+    candidates.sort((a, b) => b.text.length - a.text.length || a.index - b.index);
+    const kept = [];
+    for (const candidate of candidates) {
+        const end = candidate.index + candidate.text.length;
+        if (!kept.some(other => candidate.index < other.index + other.text.length && other.index < end)) {
+            kept.push(candidate);
+        }
+    }
+    return kept.sort((a, b) => a.index - b.index);
+}
+
+export function uniqueEntityIds(mentions) {
+    return [...new Set(mentions.map(mention => mention.id))];
+}
+
+/**
+ * Entity types named in the "To, ..." addressee block of a first page.
+ */
+export function addressees(firstPage, taxonomy) {
+    const text = String(firstPage ?? '').replace(/\s+/g, ' ');
+    const match = text.match(/\bTo,?\s+(.*?)\s+(?:Dear\s+)?(?:Sir|Madam)\b/i);
+    return match ? uniqueEntityIds(findEntities(match[1], taxonomy)) : [];
+}
+
+/**
+ * Find an entity type by id, label, synonym or abbreviation (any case,
+ * singular or plural). Throws with the known ids when nothing matches.
+ */
+export function resolveEntity(taxonomy, query) {
+    const wanted = String(query).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    const exact = taxonomy.entities.find(entity =>
+        [entity.id.replace(/_/g, ' '), entity.label, ...entity.synonyms, ...entity.abbreviations]
+            .some(name => name.toLowerCase() === wanted || `${name.toLowerCase()}s` === wanted));
+    if (exact) {
+        return exact;
+    }
+
+    const mentioned = findEntities(query, taxonomy);
+    if (mentioned.length > 0 && mentioned[0].text.length === String(query).trim().length) {
+        return entityById(taxonomy, mentioned[0].id);
+    }
+    throw new Error(`Unknown entity type '${query}' (known: ${taxonomy.entities.map(entity => entity.id).join(', ')})`);
+}
+
+/**
+ * Full name of a department code; "DEPA-II" and "LAD-NRO" fall back to
+ * "DEPA" and "LAD".
+ */
+export function departmentName(taxonomy, code) {
+    if (!code) {
+        return null;
+    }
+    return taxonomy.departments[code] || taxonomy.departments[code.split('-')[0]] || null;
+}
+
+/**
+ * Whether department `code` falls under the `wanted` code: exactly, or as a
+ * sub-department ("DEPA" matches "DEPA-II").
+ */
+export function matchesDepartment(code, wanted) {
+    const prefix = String(wanted).toUpperCase();
+    return Boolean(code) && (code === prefix || code.startsWith(`${prefix}-`));
+}
+
+/**
+ * Tags for an indexed circular from its pages and extracted metadata:
+ * `{ entities, department, department_name, key_terms }`. `key_terms` holds
+ * the primary synonym of each tagged entity type, for local matching.
+ */
+export function tagCircular(pages, metadata, taxonomy) {
+    let entities = [...new Set([
+        ...addressees(pages[0], taxonomy),
+        ...uniqueEntityIds(findEntities(metadata.subject, taxonomy))
+    ])];
+
+    if (entities.length === 0) {
+        const counts = {};
+        for (const mention of findEntities(pages.join('\n'), taxonomy)) {
+            counts[mention.id] = (counts[mention.id] || 0) + 1;
+        }
+        entities = Object.entries(counts)
+            .filter(([, count]) => count >= MIN_BODY_MENTIONS)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_BODY_ENTITIES)
+            .map(([id]) => id);
+    }
+
+    const department = departmentCode(metadata.circular_number);
+    return {
+        entities,
+        department,
+        department_name: departmentName(taxonomy, department),
+        key_terms: entities.map(id => entityById(taxonomy, id).synonyms[0]).filter(Boolean)
+    };
+}
+
+/**
+ * Whether a tagged circular applies to the entity type `entityId`.
+ */
+export function circularHasEntity(circular, entityId) {
+    return (circular.entities || []).includes(entityId);
+}
@@ -13,13 +13,33 @@ import dotenv from 'dotenv';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
-const pdfParse = require('pdf-parse');
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
+import { BatchAnalyzer } from './lib/batch-analyzer.js';
+import { CitationGraph, GRAPH_FORMATS } from './lib/citation-graph.js';
+import { loadLatestAnalyses } from './lib/analysis-store.js';
+import { analyzeImpact } from './lib/impact-analysis.js';
+import { ENGINES, extractReferencesWithRules, mergeReferences } from './lib/rule-extractor.js';
+import { DEFAULT_RETRIES, DEFAULT_RETRY_DELAY, PROVIDERS, createProvider, withRetries } from './lib/llm-providers.js';
+import { loadConfig } from './lib/config.js';
+import { extractPages } from './lib/pdf-text.js';
+import { groundReferences } from './lib/grounding.js';
+import { CircularIndex } from './lib/circular-index.js';
+import { DEFAULT_CHUNK_OVERLAP, DEFAULT_CHUNK_TOKENS, chunkPages, mergeChunkResults, renderChunk, selectTargets } from './lib/chunking.js';
+import { CIRCULAR_NUMBER, consolidateReferences, learnAliases, summarizeIdentities } from './lib/canonical-references.js';
+import { matchReference } from './lib/local-matcher.js';
+import { REPORT_FORMATS, renderCsv, writeReports } from './lib/report-writers.js';
+import { RELATIONSHIPS, circularStatus, classifyReferences, documentEffectiveDate, strongestRelationship } from './lib/relationships.js';
+import { IncompleteAnalysisError, SCHEMA_VERSION, parseReferenceResponse } from './lib/reference-schema.js';
+import { ApiServer, DEFAULT_MAX_UPLOAD_MB, DEFAULT_PORT } from './lib/api-server.js';
+import { SearchIndex, circularDate } from './lib/search-index.js';
+import { diffAnalyses, diffDocumentVersions } from './lib/analysis-diff.js';
+import { CircularWatcher, DEFAULT_DEBOUNCE_MS } from './lib/circular-watcher.js';
+import { circularHasEntity, entityById, loadTaxonomy, matchesDepartment, resolveEntity, tagCircular } from './lib/taxonomy.js';
+import { extractObligations, renderIcs, summarizeObligations, trackerModel } from './lib/obligations.js';
+import { acquisitionList, isExternal, loadRegistry, resolveExternal } from './lib/external-registry.js';
+import { compareToBaseline, failedDocument, goldFromAnalysis, loadGold, scoreDocument, summarizeEvaluation } from './lib/evaluation.js';
 
 // Load environment variables from .env.local
 dotenv.config({ path: '.env.local' });
@@ -29,25 +49,80 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const LOCAL_CIRCULARS_DIR = "circulars";
+const LOCAL_INDEX_FILE = "circulars-index.json";
+const LOCAL_SEARCH_INDEX_FILE = "search-index.json";
+const TAXONOMY_FILE = "sebi-taxonomy.json";
+const EXTERNAL_REGISTRY_FILE = "sebi-external-documents.json";
+const GOLD_DIR = "fixtures/gold";
 
-// Validate required environment variables
-if (!GEMINI_API_KEY) {
-    console.error('❌ ERROR: GEMINI_API_KEY environment variable is not set');
-    console.error('Please create a .env.local file with: GEMINI_API_KEY=your_api_key_here');
-    process.exit(1);
-}
+// Exit code when AI analysis still failed after every retry (API error or invalid response)
+const EXIT_INCOMPLETE_ANALYSIS = 3;
+// Exit code when an evaluation falls below --min-f1 or regresses from its --baseline
+const EXIT_EVAL_REGRESSION = 4;
+
+const ANALYSIS_METHODS = {
+    ai: 'Enhanced AI with comprehensive prompting for compliance',
+    rules: 'Deterministic rule-based extraction (offline)',
+    hybrid: 'Enhanced AI merged with deterministic rule-based extraction'
+};
+
+// Console wording per engine, so offline runs never claim a model was used.
+const RESULT_HEADINGS = {
+    ai: '🤖 AI-BASED REFERENCE ANALYSIS RESULTS',
+    rules: '📏 RULE-BASED REFERENCE ANALYSIS RESULTS',
+    hybrid: '🤖📏 HYBRID (AI + RULES) REFERENCE ANALYSIS RESULTS'
+};
+const NOTHING_FOUND = {
+    ai: 'The AI searched thoroughly but found no regulatory references.',
+    rules: 'No circular numbers, Acts, Regulations or Master Circular citations matched the extraction rules.',
+    hybrid: 'Neither the AI nor the extraction rules found any regulatory references.'
+};
+const EXTRACTOR_ICONS = { AI: '🤖', Rule: '📏' };
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+// Saved analyses list references by availability as well as in `all_references`.
+function availabilitySections(references) {
+    const external = references.filter(isExternal);
+    return {
+        local: references.filter(r => r.availability_status === 'available_locally'),
+        external,
+        obtained: external.filter(r => r.availability_status === 'obtained_external'),
+        missing: external.filter(r => r.availability_status !== 'obtained_external'),
+        ambiguous: external.filter(r => r.local_match?.status === 'ambiguous')
+    };
+}
 
 class EnhancedAIReferenceFinder {
-    constructor() {
+    constructor({ engine = 'ai', provider = null, chunking = {}, retry = {}, taxonomy = null, registry = null } = {}) {
         this.localCirculars = {};
+        this.taxonomy = taxonomy || loadTaxonomy(path.join(__dirname, TAXONOMY_FILE));
+        this.registry = registry || loadRegistry(path.join(__dirname, EXTERNAL_REGISTRY_FILE));
+        this.quiet = false;
+        this.engine = engine;
+        this.provider = provider;
+        this.chunking = chunking;
+        this.retry = retry;
+        this.index = null;
+    }
+
+    log(message) {
+        if (!this.quiet) {
+            console.log(message);
+        }
     }
 
-    async loadLocalCirculars() {
+    createIndex() {
+        return new CircularIndex(
+            path.join(__dirname, LOCAL_CIRCULARS_DIR),
+            path.join(__dirname, LOCAL_INDEX_FILE),
+            {
+                describe: pages => this.extractMetadata(pages),
+                tag: (pages, metadata) => tagCircular(pages, metadata, this.taxonomy)
+            }
+        );
+    }
+
+    async loadLocalCirculars({ force = false } = {}) {
         console.log(chalk.blue(`📁 Loading local circular database from: ${LOCAL_CIRCULARS_DIR}`));
         
         const circularsPath = path.join(__dirname, LOCAL_CIRCULARS_DIR);
@@ -57,61 +132,47 @@ class EnhancedAIReferenceFinder {
             return;
         }
 
-        const files = await fs.readdir(circularsPath);
-        const pdfFiles = files.filter(file => file.toLowerCase().endsWith('.pdf'));
-
-        for (const pdfFile of pdfFiles) {
-            try {
-                const filePath = path.join(circularsPath, pdfFile);
-                const metadata = await this.extractMetadata(filePath);
-                
-                if (metadata) {
-                    this.localCirculars[pdfFile] = {
-                        file_path: path.resolve(filePath),
-                        filename: pdfFile,
-                        ...metadata
-                    };
-                    console.log(chalk.green(`  ✅ ${pdfFile}`));
+        // Only new or changed PDFs are parsed; everything else comes from the index
+        this.index = this.createIndex();
+        const scan = await this.index.update({
+            force,
+            onFile: ({ filename, error }) => {
+                if (error) {
+                    console.log(chalk.yellow(`  ⚠️ ${filename}: ${error}`));
+                } else {
+                    console.log(chalk.green(`  ✅ ${filename}`));
                 }
-            } catch (error) {
-                console.log(chalk.yellow(`  ⚠️ ${pdfFile}: ${error.message}`));
             }
-        }
+        });
 
-        console.log(chalk.green(`✅ Database ready: ${Object.keys(this.localCirculars).length} circulars`));
-    }
+        this.localCirculars = this.index.circulars();
 
-    async extractMetadata(pdfPath) {
-        try {
-            const pdfBuffer = await fs.readFile(pdfPath);
-            const data = await pdfParse(pdfBuffer, { max: 2 }); // First 2 pages only
-            
-            const text = data.text;
-            
-            return {
-                circular_number: this.extractCircularNumber(text),
-                subject: this.extractSubject(text),
-                date: this.extractDate(text),
-                key_terms: this.extractKeyTerms(text)
-            };
-        } catch (error) {
-            return null;
+        const failures = this.index.failures().length;
+        console.log(chalk.green(`✅ Database ready: ${Object.keys(this.localCirculars).length} circulars ` +
+            `(${scan.added.length} new, ${scan.changed.length} changed, ${scan.deleted.length} removed, ${scan.unchanged.length} cached)`));
+        if (failures > 0) {
+            console.log(chalk.yellow(`⚠️ ${failures} files could not be indexed - run 'index status' for details`));
         }
+        return scan;
     }
 
-    extractCircularNumber(text) {
-        const patterns = [
-            /SEBI\/[A-Z0-9\/_-]+\/(?:CIR|P)\/[A-Z0-9\/_-]+\/\d{4}\/\d+/i,
-            /Circular[:\s]+No\.?\s*([A-Z0-9\/._-]+)/i
-        ];
+    extractMetadata(pages) {
+        const text = pages.slice(0, 2).join('\n'); // First 2 pages only
         
-        for (const pattern of patterns) {
-            const match = text.match(pattern);
-            if (match) {
-                return match[0].includes('/') ? match[0] : match[1];
-            }
+        return {
+            circular_number: this.extractCircularNumber(text),
+            subject: this.extractSubject(text),
+            date: this.extractDate(text)
+        };
+    }
+
+    extractCircularNumber(text) {
+        // Same pattern as canonical identities, so the spaced forms PDFs produce are found too
+        const number = text.match(CIRCULAR_NUMBER);
+        if (number) {
+            return number[0].replace(/\s*\/\s*/g, '/');
         }
-        return null;
+        return text.match(/Circular[:\s]+No\.?\s*([A-Z0-9\/._-]+)/i)?.[1] || null;
     }
 
     extractSubject(text) {
@@ -138,54 +199,33 @@ class EnhancedAIReferenceFinder {
         return match ? match[0] : null;
     }
 
-    extractKeyTerms(text) {
-        const terms = [
-            'investment adviser', 'registrar', 'depository', 'mutual fund',
-            'portfolio', 'compliance', 'audit', 'charter', 'framework',
-            'guidelines', 'norms', 'requirements', 'risk management',
-            'kyc', 'aml', 'disclosure', 'governance', 'intermediary'
-        ];
-        
-        const foundTerms = [];
-        const textLower = text.toLowerCase();
-        
-        for (const term of terms) {
-            if (textLower.includes(term)) {
-                foundTerms.push(term);
-            }
-        }
-        
-        return foundTerms;
-    }
-
     async extractTextFromPdf(pdfPath) {
-        console.log(chalk.blue(`📄 Extracting text from: ${path.basename(pdfPath)}`));
+        this.log(chalk.blue(`📄 Extracting text from: ${path.basename(pdfPath)}`));
         
         try {
             const pdfBuffer = await fs.readFile(pdfPath);
-            const data = await pdfParse(pdfBuffer);
+            const pages = this.index?.pagesForBuffer(pdfBuffer) || (await extractPages(pdfBuffer)).pages;
             
             // Add page markers like Python version
-            const pages = data.text.split('\f'); // Form feed character separates pages
             let fullText = "";
             
             for (let i = 0; i < pages.length; i++) {
                 fullText += `\n--- PAGE ${i + 1} ---\n${pages[i]}\n`;
             }
             
-            console.log(chalk.green(`✅ Extracted text from ${pages.length} pages`));
-            return { fullText, pageCount: pages.length };
+            this.log(chalk.green(`✅ Extracted text from ${pages.length} pages`));
+            return { fullText, pageCount: pages.length, pages };
             
         } catch (error) {
-            console.log(chalk.red(`❌ Error reading PDF: ${error.message}`));
-            return { fullText: "", pageCount: 0 };
+            this.log(chalk.red(`❌ Error reading PDF: ${error.message}`));
+            return { fullText: "", pageCount: 0, pages: [] };
         }
     }
 
-    createEnhancedPrompt(documentText) {
+    createEnhancedPrompt(documentText, circulars = this.localCirculars, { chunk = null, totalChunks = 1 } = {}) {
         // Create detailed target list
         const targets = [];
-        for (const [filename, circular] of Object.entries(this.localCirculars)) {
+        for (const [filename, circular] of Object.entries(circulars)) {
             let entry = `📄 ${filename}:`;
             
             if (circular.circular_number) {
@@ -200,17 +240,25 @@ class EnhancedAIReferenceFinder {
                 entry += `\n   Date: ${circular.date}`;
             }
             
-            if (circular.key_terms && circular.key_terms.length > 0) {
-                entry += `\n   Key terms: ${circular.key_terms.slice(0, 5).join(', ')}`;
+            if (circular.entities && circular.entities.length > 0) {
+                entry += `\n   Applies to: ${circular.entities.map(id => entityById(this.taxonomy, id)?.label || id).join(', ')}`;
             }
             
             targets.push(entry);
         }
 
+        if (targets.length === 0) {
+            targets.push('(No local circular appears to be cited in this text - treat every reference as external)');
+        }
+
+        const partNote = chunk && totalChunks > 1
+            ? `\n📑 This is part ${chunk.index} of ${totalChunks} of a long document (pages ${chunk.start_page}-${chunk.end_page}). Use the PAGE markers for page_number.\n`
+            : '';
+
         return `
 You are an expert SEBI compliance analyst. Your task is to find ALL references to other regulatory documents (circulars, regulations, laws, etc.) in the given document.
 
-📄 DOCUMENT TO ANALYZE:
+📄 DOCUMENT TO ANALYZE:${partNote}
 ${documentText}
 
 🎯 SPECIFIC LOCAL CIRCULARS TO WATCH FOR:
@@ -234,6 +282,9 @@ ${targets.join('\n')}
 - confidence: How confident you are this is a real reference (high/medium/low)
 - reasoning: Why you identified this as a reference
 - matched_target: If this matches one of the local circulars above, specify the filename. Otherwise, put "external_reference"
+- relationship: What this document does to the referenced one: "modifies", "supersedes", "rescinds", "extends", "clarifies", or "refers_to" if it only cites it
+- affected_provision: The paragraph/clause of the referenced document that is affected (e.g. "Para 33.1.3"), or null
+- effective_date: When the change takes effect, if stated (e.g. "September 01, 2025"), or null
 
 🚨 IMPORTANT:
 - Find ALL regulatory references, not just ones in the local list
@@ -254,62 +305,206 @@ Example:
     "context": "As per SEBI/HO/MIRSD/CIR/2021/670 dated March 15, 2021, all advisers must comply with disclosure norms.",
     "confidence": "high",
     "reasoning": "Specific SEBI circular number with exact date reference",
-    "matched_target": "external_reference"
+    "matched_target": "external_reference",
+    "relationship": "refers_to",
+    "affected_provision": null,
+    "effective_date": null
   }
 ]
 `;
     }
 
-    async analyzeWithEnhancedAI(pdfPath) {
-        const { fullText } = await this.extractTextFromPdf(pdfPath);
+    /**
+     * Ask the model about one part of the document. Responses are repaired and
+     * validated against the reference schema; API errors and invalid responses
+     * are retried with backoff.
+     */
+    async requestReferences(prompt, meta, spinner) {
+        const label = meta.totalChunks > 1 ? `part ${meta.chunk}/${meta.totalChunks}: ` : '';
+        return withRetries(async () => parseReferenceResponse(await this.provider.generate(prompt, meta)), {
+            ...this.retry,
+            onRetry: (error, { attempt, wait }) => {
+                spinner.text = `🤖 ${label}attempt ${attempt} failed (${error.message}); retrying in ${wait / 1000}s...`;
+            }
+        });
+    }
+
+    async analyzeWithEnhancedAI(pdfPath, { throwOnError = false, document = null } = {}) {
+        const { fullText, pages } = document || await this.extractTextFromPdf(pdfPath);
         
         if (!fullText) {
+            if (throwOnError) {
+                throw new Error(`No text could be extracted from ${path.basename(pdfPath)}`);
+            }
             return [];
         }
 
-        const spinner = ora('🤖 Running enhanced AI analysis...').start();
+        // Long documents are analyzed in page-aware parts under the token budget
+        const chunks = chunkPages(pages, this.chunking);
+        const spinner = ora({
+            text: `🤖 Running enhanced AI analysis (${this.provider.name}: ${this.provider.model})...`,
+            isSilent: this.quiet
+        }).start();
         
-        try {
-            const prompt = this.createEnhancedPrompt(fullText);
-            const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+        const chunkResults = [];
+        const failedParts = [];
+        let repairs = 0;
+        let rejected = 0;
+        
+        for (const chunk of chunks) {
+            if (chunks.length > 1) {
+                spinner.text = `🤖 Running enhanced AI analysis: part ${chunk.index}/${chunks.length} (pages ${chunk.start_page}-${chunk.end_page})...`;
+            }
             
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            let responseText = response.text().trim();
+            const chunkText = renderChunk(chunk);
+            const targets = selectTargets(this.localCirculars, chunkText);
+            const prompt = this.createEnhancedPrompt(chunkText, targets, { chunk, totalChunks: chunks.length });
             
-            // Clean response
-            if (responseText.startsWith('```json')) {
-                responseText = responseText.slice(7);
-            }
-            if (responseText.startsWith('```')) {
-                responseText = responseText.slice(3);
+            // A failed part does not stop the others; their results are kept as partial results
+            try {
+                const result = await this.requestReferences(prompt, {
+                    sourceFile: path.basename(pdfPath),
+                    chunk: chunk.index,
+                    totalChunks: chunks.length
+                }, spinner);
+                repairs += result.repairs.length;
+                rejected += result.rejected.length;
+                chunkResults.push({ chunk, references: result.references });
+            } catch (error) {
+                // A response cut off after retries still contributes the references it completed
+                if (error.references?.length > 0) {
+                    chunkResults.push({ chunk, references: error.references });
+                }
+                failedParts.push({
+                    part: chunk.index,
+                    pages: [chunk.start_page, chunk.end_page],
+                    attempts: error.attempts || 1,
+                    error: error.message
+                });
             }
-            if (responseText.endsWith('```')) {
-                responseText = responseText.slice(0, -3);
+        }
+        
+        const references = mergeChunkResults(chunkResults);
+        
+        if (failedParts.length > 0) {
+            const message = `AI analysis failed for ${failedParts.length} of ${chunks.length} part(s) after ${failedParts[0].attempts} attempt(s): ${failedParts[0].error}`;
+            spinner.fail(chalk.red(`❌ ${message}`));
+            throw new IncompleteAnalysisError(message, { references, failedParts, totalParts: chunks.length });
+        }
+        
+        const parts = chunks.length > 1 ? ` across ${chunks.length} parts` : '';
+        spinner.succeed(chalk.green(`✅ AI found ${references.length} potential references${parts}`));
+        if (repairs > 0 || rejected > 0) {
+            this.log(chalk.yellow(`⚠️ Repaired ${repairs} defect(s) in the AI response; ${rejected} invalid reference(s) left out (schema ${SCHEMA_VERSION})`));
+        }
+        return references;
+    }
+
+    analyzeWithRules(document) {
+        const sourceCircularNumber = this.extractCircularNumber(document.pages[0] || '');
+        const references = extractReferencesWithRules(document.pages, {
+            localCirculars: this.localCirculars,
+            sourceCircularNumber
+        });
+
+        this.log(chalk.green(`✅ Rules found ${references.length} potential references`));
+        return references;
+    }
+
+    /**
+     * Run the configured engine (`ai`, `rules` or `hybrid`) over one PDF.
+     */
+    async findReferences(pdfPath, { throwOnError = false } = {}) {
+        const document = await this.extractTextFromPdf(pdfPath);
+
+        if (!document.fullText && throwOnError) {
+            throw new Error(`No text could be extracted from ${path.basename(pdfPath)}`);
+        }
+
+        let references;
+        if (this.engine === 'rules') {
+            references = this.analyzeWithRules(document);
+        } else {
+            const aiReferences = await this.analyzeWithEnhancedAI(pdfPath, { throwOnError, document });
+            if (this.engine === 'hybrid') {
+                references = mergeReferences(aiReferences, this.analyzeWithRules(document));
+                const both = references.filter(ref => ref.detected_by.length > 1).length;
+                this.log(chalk.green(`✅ Hybrid merge: ${references.length} references (${both} found by both engines)`));
+            } else {
+                references = aiReferences.map(ref => ({ ...ref, detected_by: ['ai'] }));
             }
-            responseText = responseText.trim();
-            
-            const references = JSON.parse(responseText);
-            
-            spinner.succeed(chalk.green(`✅ AI found ${references.length} potential references`));
-            return references;
-            
-        } catch (error) {
-            spinner.fail(chalk.red(`❌ AI analysis error: ${error.message}`));
-            return [];
         }
+
+        return this.classifyRelationships(this.groundReferences(references, document), document);
+    }
+
+    groundReferences(references, document) {
+        const grounded = groundReferences(references, document.pages);
+        const ungroundedCount = grounded.filter(ref => !ref.grounded).length;
+        const correctedCount = grounded.filter(ref => ref.grounded && 'claimed_page_number' in ref).length;
+
+        this.log(chalk.green(`✅ Grounding: ${grounded.length - ungroundedCount} verified in the text, ${correctedCount} page numbers corrected`));
+        if (ungroundedCount > 0) {
+            this.log(chalk.yellow(`⚠️ ${ungroundedCount} references could not be found in the document text`));
+        }
+        return grounded;
+    }
+
+    /**
+     * Tag what this circular does to each cited document (modifies,
+     * supersedes, rescinds, extends, clarifies or just refers_to).
+     */
+    classifyRelationships(references, document) {
+        const classified = classifyReferences(references, {
+            effectiveDate: documentEffectiveDate(document.fullText)
+        });
+
+        const counts = RELATIONSHIPS.slice(0, -1)
+            .map(relationship => [relationship, classified.filter(ref => ref.relationship === relationship).length])
+            .filter(([, count]) => count > 0);
+        if (counts.length > 0) {
+            this.log(chalk.green(`✅ Relationships: ${counts.map(([relationship, count]) => `${count} ${relationship}`).join(', ')}`));
+        }
+        return classified;
     }
 
+    /**
+     * Decide which references point at circulars we hold, using the scored
+     * matcher rather than the engine's `matched_target`. Ambiguous matches are
+     * left external and flagged for manual confirmation. External references
+     * are looked up in the external document registry: `obtained_external`
+     * when we hold a copy, `missing` otherwise.
+     */
     enhanceReferencesWithAvailability(references, sourceFilename) {
         const enhancedReferences = [];
+        const aliases = learnAliases(references);
+        let recovered = 0;
         
         for (const ref of references) {
             const enhancedRef = { ...ref };
-            const matchedTarget = ref.matched_target || '';
+            let match = matchReference(ref, this.localCirculars);
+            // A circular never needs confirming as a candidate for its own
+            // references: re-score without it, so a lone remaining candidate
+            // can match outright and none leaves the reference unmatched.
+            if (match.status === 'ambiguous' && match.candidates.some(candidate => candidate.filename === sourceFilename)) {
+                const { [sourceFilename]: _source, ...others } = this.localCirculars;
+                match = matchReference(ref, others);
+            }
+            const engineTarget = ref.matched_target && ref.matched_target in this.localCirculars ? ref.matched_target : null;
+            
+            enhancedRef.local_match = {
+                status: match.status,
+                score: match.score,
+                signals: match.signals,
+                engine_target: engineTarget
+            };
+            if (match.status === 'ambiguous') {
+                enhancedRef.local_match.candidates = match.candidates;
+            }
             
             // Check if it's a self-reference
-            const isSelfReference = matchedTarget in this.localCirculars && 
-                                  this.localCirculars[matchedTarget].filename === sourceFilename;
+            const isSelfReference = match.status === 'matched' && 
+                                  this.localCirculars[match.filename].filename === sourceFilename;
             
             if (isSelfReference) {
                 enhancedRef.availability_status = 'self_reference';
@@ -318,34 +513,170 @@ Example:
             }
             
             // Check if we have this file locally
-            if (matchedTarget in this.localCirculars) {
-                const localFile = this.localCirculars[matchedTarget];
-                enhancedRef.availability_status = 'available_locally';
-                enhancedRef.local_file = {
-                    filename: localFile.filename,
-                    file_path: localFile.file_path,
-                    circular_number: localFile.circular_number,
-                    subject: localFile.subject,
-                    date: localFile.date
-                };
+            if (match.status === 'matched') {
+                this.markAvailableLocally(enhancedRef, match.filename);
+                if (!engineTarget) {
+                    recovered++;
+                }
             } else {
-                enhancedRef.availability_status = 'external_reference';
-                enhancedRef.note = 'Referenced document not in local collection';
+                const { status, document } = resolveExternal(ref, this.registry, aliases);
+                enhancedRef.availability_status = status;
+                if (document) {
+                    enhancedRef.external_document = {
+                        id: document.id,
+                        title: document.title,
+                        location: document.location,
+                        obtained: document.obtained
+                    };
+                }
+                if (match.status === 'ambiguous') {
+                    enhancedRef.note = `Possible local match: ${match.candidates.map(c => c.filename).join(' or ')} - confirm manually`;
+                } else if (status === 'obtained_external') {
+                    enhancedRef.note = `Not in local collection; copy held at ${document.location || 'an unrecorded location'}`;
+                } else {
+                    enhancedRef.note = document
+                        ? `Registered as '${document.title}' but not yet obtained`
+                        : `Not in local collection or ${EXTERNAL_REGISTRY_FILE}`;
+                }
             }
             
             enhancedReferences.push(enhancedRef);
         }
         
         const localCount = enhancedReferences.filter(r => r.availability_status === 'available_locally').length;
-        const externalCount = enhancedReferences.filter(r => r.availability_status === 'external_reference').length;
+        const obtainedCount = enhancedReferences.filter(r => r.availability_status === 'obtained_external').length;
+        const missingCount = enhancedReferences.filter(r => r.availability_status === 'missing').length;
+        const ambiguousCount = enhancedReferences.filter(r => r.local_match.status === 'ambiguous').length;
         
-        console.log(chalk.green(`✅ Processed ${enhancedReferences.length} references: ${localCount} local, ${externalCount} external`));
+        this.log(chalk.green(`✅ Processed ${enhancedReferences.length} references: ${localCount} local, ${obtainedCount} obtained externally, ${missingCount} missing`));
+        if (recovered > 0) {
+            this.log(chalk.green(`✅ ${recovered} references matched locally that the ${this.engine === 'rules' ? 'rules' : 'AI'} had marked external`));
+        }
+        if (ambiguousCount > 0) {
+            this.log(chalk.yellow(`⚠️ ${ambiguousCount} references have uncertain local matches - confirm manually`));
+        }
         return enhancedReferences;
     }
 
+    markAvailableLocally(ref, filename) {
+        const localFile = this.localCirculars[filename];
+        ref.matched_target = filename;
+        ref.availability_status = 'available_locally';
+        ref.local_file = {
+            filename: localFile.filename,
+            file_path: localFile.file_path,
+            circular_number: localFile.circular_number,
+            subject: localFile.subject,
+            date: localFile.date
+        };
+        return ref;
+    }
+
+    /**
+     * Re-match the external references of a saved analysis now that
+     * `filenames` have joined the collection. References that resolve to one
+     * of them become `available_locally` and the analysis' reference lists and
+     * counts are rebuilt in place. Returns the references that resolved.
+     */
+    resolveNewlyAvailable(analysis, filenames) {
+        const added = new Set(filenames.filter(filename => filename in this.localCirculars && filename !== analysis.source_file));
+        const resolved = [];
+
+        for (const ref of analysis.all_references || []) {
+            if (!isExternal(ref)) {
+                continue;
+            }
+            const match = matchReference(ref, this.localCirculars);
+            if (match.status !== 'matched' || !added.has(match.filename)) {
+                continue;
+            }
+
+            this.markAvailableLocally(ref, match.filename);
+            ref.local_match = {
+                status: match.status,
+                score: match.score,
+                signals: match.signals,
+                engine_target: ref.local_match?.engine_target ?? null
+            };
+            delete ref.note;
+            delete ref.external_document;
+            resolved.push(ref);
+        }
+
+        if (resolved.length > 0) {
+            const { local, external, ambiguous, obtained, missing } = availabilitySections(analysis.all_references);
+            Object.assign(analysis, {
+                local_references: local,
+                external_references: external,
+                ambiguous_local_matches: ambiguous,
+                availability_rechecked_at: new Date().toISOString()
+            });
+            Object.assign(analysis.summary, {
+                local_references: local.length,
+                external_references: external.length,
+                obtained_external: obtained.length,
+                missing_references: missing.length,
+                ambiguous_local_matches: ambiguous.length
+            });
+            analysis.local_circulars_scanned = Object.keys(this.localCirculars).length;
+        }
+        return resolved;
+    }
+
+    /**
+     * Group repeated mentions of the same document and provision under one
+     * canonical reference. Ungrounded references are kept as they are.
+     */
+    consolidateReferences(references) {
+        const grounded = consolidateReferences(references.filter(ref => ref.grounded !== false)).map(ref => {
+            // The strongest relationship among the mentions speaks for the group.
+            const strongest = strongestRelationship(ref.occurrences);
+            return strongest?.relationship ? {
+                ...ref,
+                relationship: strongest.relationship,
+                affected_provision: strongest.affected_provision,
+                effective_date: strongest.effective_date
+            } : ref;
+        });
+        const ungrounded = references.filter(ref => ref.grounded === false);
+        const { unique_documents: documents, total_mentions: mentions } = summarizeIdentities(grounded);
+
+        this.log(chalk.green(`✅ Consolidated ${mentions} mentions into ${grounded.length} unique references (${documents} documents)`));
+        return [...grounded, ...ungrounded];
+    }
+
+    formatPage(ref) {
+        if (ref.occurrences?.length > 1) {
+            const pages = [...new Set(ref.occurrences.map(occurrence => occurrence.page_number || 'N/A'))];
+            return `${pages.join(', ')} (${ref.occurrences.length} mentions)`;
+        }
+        const page = ref.page_number || 'N/A';
+        return ref.claimed_page_number !== undefined ? `${page} (AI reported ${ref.claimed_page_number ?? 'none'})` : `${page}`;
+    }
+
+    formatRelationship(ref) {
+        if (!ref.relationship || ref.relationship === 'refers_to') {
+            return null;
+        }
+        let text = ref.relationship.toUpperCase();
+        if (ref.affected_provision) {
+            text += ` ${ref.affected_provision}`;
+        }
+        if (ref.effective_date) {
+            text += ` (effective ${ref.effective_date})`;
+        }
+        return text;
+    }
+
+    // Which extractor a reference came from, for console labels: "AI" or "Rule".
+    extractorName(ref) {
+        const byModel = ref.detected_by ? ref.detected_by.includes('ai') : this.engine !== 'rules';
+        return byModel ? 'AI' : 'Rule';
+    }
+
     formatResults(references, sourceFilename) {
         console.log('\n' + '='.repeat(80));
-        console.log(chalk.bold.blue('🤖 AI-BASED REFERENCE ANALYSIS RESULTS'));
+        console.log(chalk.bold.blue(RESULT_HEADINGS[this.engine]));
         console.log(chalk.blue(`📄 Source: ${sourceFilename}`));
         console.log(chalk.blue(`🕐 Analyzed: ${new Date().toLocaleString()}`));
         console.log(chalk.blue(`🎯 Total References Found: ${references.length}`));
@@ -353,15 +684,18 @@ Example:
         
         if (references.length === 0) {
             console.log(chalk.red('❌ No references found.'));
-            console.log(chalk.yellow('💡 The AI searched thoroughly but found no regulatory references.'));
+            console.log(chalk.yellow(`💡 ${NOTHING_FOUND[this.engine]}`));
             return;
         }
         
-        // Group references by availability
-        const localRefs = references.filter(r => r.availability_status === 'available_locally');
-        const externalRefs = references.filter(r => r.availability_status === 'external_reference');
+        // Group references by availability; ungrounded ones are reported separately
+        const groundedRefs = references.filter(r => r.grounded !== false);
+        const ungroundedRefs = references.filter(r => r.grounded === false);
+        const { local: localRefs, external: externalRefs, obtained: obtainedRefs, missing: missingRefs } = availabilitySections(groundedRefs);
         
-        console.log(chalk.blue(`📊 SUMMARY: ${localRefs.length} Local | ${externalRefs.length} External`));
+        const identities = summarizeIdentities(groundedRefs);
+        console.log(chalk.blue(`📊 SUMMARY: ${localRefs.length} Local | ${obtainedRefs.length} Obtained | ${missingRefs.length} Missing | ${ungroundedRefs.length} Ungrounded`));
+        console.log(chalk.blue(`🧾 ${identities.unique_documents} unique documents | ${identities.unique_references} unique references | ${identities.total_mentions} mentions`));
         
         // Show local references first
         if (localRefs.length > 0) {
@@ -370,15 +704,24 @@ Example:
             localRefs.forEach((ref, i) => {
                 const localFile = ref.local_file || {};
                 console.log(chalk.green(`\n${i + 1}. 🟢 LOCAL REFERENCE:`));
-                console.log(`   🤖 AI Confidence: ${chalk.bold((ref.confidence || 'unknown').toUpperCase())}`);
+                console.log(`   ${EXTRACTOR_ICONS[this.extractorName(ref)]} ${this.extractorName(ref)} Confidence: ${chalk.bold((ref.confidence || 'unknown').toUpperCase())}`);
+                if (ref.detected_by) {
+                    console.log(`   🔍 Found by: ${ref.detected_by.join(' + ')}`);
+                }
+                if (this.formatRelationship(ref)) {
+                    console.log(`   🔁 Relationship: ${this.formatRelationship(ref)}`);
+                }
                 console.log(`   📄 Text: ${ref.exact_text || 'N/A'}`);
-                console.log(`   📍 Page: ${ref.page_number || 'N/A'}`);
+                console.log(`   📍 Page: ${this.formatPage(ref)}`);
                 console.log(`   🎯 Links to: ${localFile.filename || 'N/A'}`);
+                if (ref.local_match) {
+                    console.log(`   🧮 Match: ${ref.local_match.score} (${ref.local_match.signals.join(', ')})`);
+                }
                 console.log(`   📋 Subject: ${localFile.subject || 'N/A'}`);
                 if (localFile.circular_number) {
                     console.log(`   🔢 Number: ${localFile.circular_number}`);
                 }
-                console.log(`   💭 AI Reasoning: ${ref.reasoning || 'N/A'}`);
+                console.log(`   💭 ${this.extractorName(ref)} Reasoning: ${ref.reasoning || 'N/A'}`);
                 console.log(`   📝 Context: ${(ref.context || 'N/A').substring(0, 200)}...`);
                 console.log(`   💾 File: ${localFile.file_path || 'N/A'}`);
             });
@@ -386,120 +729,1490 @@ Example:
         
         // Show external references
         if (externalRefs.length > 0) {
-            console.log(chalk.red(`\n🔴 EXTERNAL REFERENCES (${externalRefs.length}) - Need to obtain:`));
+            console.log(chalk.red(`\n🔴 EXTERNAL REFERENCES (${externalRefs.length}) - ${obtainedRefs.length} obtained, ${missingRefs.length} need to obtain:`));
             
             externalRefs.forEach((ref, i) => {
                 const refType = (ref.reference_type || 'other').replace(/_/g, ' ');
                 console.log(chalk.red(`\n${i + 1}. 🔴 EXTERNAL REFERENCE:`));
-                console.log(`   🤖 AI Confidence: ${chalk.bold((ref.confidence || 'unknown').toUpperCase())}`);
+                console.log(`   ${EXTRACTOR_ICONS[this.extractorName(ref)]} ${this.extractorName(ref)} Confidence: ${chalk.bold((ref.confidence || 'unknown').toUpperCase())}`);
+                if (ref.detected_by) {
+                    console.log(`   🔍 Found by: ${ref.detected_by.join(' + ')}`);
+                }
+                if (this.formatRelationship(ref)) {
+                    console.log(`   🔁 Relationship: ${this.formatRelationship(ref)}`);
+                }
                 console.log(`   📄 Text: ${ref.exact_text || 'N/A'}`);
-                console.log(`   📍 Page: ${ref.page_number || 'N/A'}`);
+                console.log(`   📍 Page: ${this.formatPage(ref)}`);
                 console.log(`   📂 Type: ${refType.charAt(0).toUpperCase() + refType.slice(1)}`);
                 console.log(`   🎯 Title: ${ref.title || 'N/A'}`);
                 if (ref.circular_number) {
                     console.log(`   🔢 Number: ${ref.circular_number}`);
                 }
-                console.log(`   💭 AI Reasoning: ${ref.reasoning || 'N/A'}`);
+                console.log(`   💭 ${this.extractorName(ref)} Reasoning: ${ref.reasoning || 'N/A'}`);
                 console.log(`   📝 Context: ${(ref.context || 'N/A').substring(0, 200)}...`);
-                console.log(`   📍 Source Info: Check relevant regulatory website`);
+                if (ref.availability_status === 'obtained_external') {
+                    console.log(chalk.green(`   📦 Obtained: ${ref.external_document.location || 'location not recorded'}`));
+                } else {
+                    console.log(`   📍 Source Info: ${ref.external_document
+                        ? `registered as '${ref.external_document.title}', not yet obtained`
+                        : `not registered - add it to ${EXTERNAL_REGISTRY_FILE} once obtained`}`);
+                }
+            });
+        }
+        
+        // Show references that match several local circulars equally well
+        const ambiguousRefs = externalRefs.filter(r => r.local_match?.status === 'ambiguous');
+        if (ambiguousRefs.length > 0) {
+            console.log(chalk.yellow(`\n❓ AMBIGUOUS LOCAL MATCHES (${ambiguousRefs.length}) - Confirm whether one of these circulars is meant:`));
+            
+            ambiguousRefs.forEach((ref, i) => {
+                console.log(chalk.yellow(`\n${i + 1}. ❓ ${ref.exact_text || 'N/A'}`));
+                console.log(`   📍 Page: ${this.formatPage(ref)}`);
+                ref.local_match.candidates.forEach(candidate => {
+                    console.log(`   • ${candidate.filename} - score ${candidate.score} (${candidate.signals.join(', ')})`);
+                });
+            });
+        }
+        
+        // Show references whose text could not be found in the document
+        if (ungroundedRefs.length > 0) {
+            console.log(chalk.magenta(`\n⚠️ UNGROUNDED REFERENCES (${ungroundedRefs.length}) - Text not found in the document, verify manually:`));
+            
+            ungroundedRefs.forEach((ref, i) => {
+                console.log(chalk.magenta(`\n${i + 1}. ⚠️ UNGROUNDED REFERENCE:`));
+                console.log(`   ${EXTRACTOR_ICONS[this.extractorName(ref)]} ${this.extractorName(ref)} Confidence: ${chalk.bold((ref.confidence || 'unknown').toUpperCase())}`);
+                console.log(`   📄 Text: ${ref.exact_text || 'N/A'}`);
+                console.log(`   📍 Claimed Page: ${ref.page_number || 'N/A'}`);
+                console.log(`   🎯 Title: ${ref.title || 'N/A'}`);
+                console.log(`   💭 ${this.extractorName(ref)} Reasoning: ${ref.reasoning || 'N/A'}`);
             });
         }
         
         // Compliance summary
         console.log(chalk.blue('\n🏦 COMPLIANCE SUMMARY:'));
         console.log(`   ✅ Local documents ready for review: ${localRefs.length}`);
-        console.log(`   📥 External documents needed: ${externalRefs.length}`);
-        if (externalRefs.length > 0) {
-            console.log('   💡 Recommendation: Obtain external references for complete compliance review');
+        if (obtainedRefs.length > 0) {
+            console.log(`   📦 External documents already obtained: ${obtainedRefs.length}`);
+        }
+        console.log(`   📥 External documents needed: ${missingRefs.length}`);
+        if (ambiguousRefs.length > 0) {
+            console.log(`   ❓ Local matches to confirm: ${ambiguousRefs.length}`);
+        }
+        if (ungroundedRefs.length > 0) {
+            console.log(`   ⚠️ Possibly hallucinated references: ${ungroundedRefs.length}`);
+        }
+        if (missingRefs.length > 0) {
+            console.log('   💡 Recommendation: Obtain external references for complete compliance review (see acquisition-list)');
         }
     }
 
-    async saveResults(references, sourceFilename, sourcePath) {
+    /**
+     * Write the JSON analysis plus any extra report `formats` (html, md, csv,
+     * xlsx) to `outputDir`. Returns the JSON path.
+     */
+    async saveResults(references, sourceFilename, sourcePath, { outputDir = '.', formats = [] } = {}) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '').slice(0, -5);
-        const outputFilename = `compliance_references_${path.parse(sourceFilename).name}_${timestamp}.json`;
+        const outputFilename = path.join(outputDir, `compliance_references_${path.parse(sourceFilename).name}_${timestamp}.json`);
         
-        // Separate references by availability
-        const localRefs = references.filter(r => r.availability_status === 'available_locally');
-        const externalRefs = references.filter(r => r.availability_status === 'external_reference');
+        // Separate references by availability; ungrounded ones get their own section
+        const groundedRefs = references.filter(r => r.grounded !== false);
+        const ungroundedRefs = references.filter(r => r.grounded === false);
+        const {
+            local: localRefs, external: externalRefs, obtained: obtainedRefs, missing: missingRefs, ambiguous: ambiguousRefs
+        } = availabilitySections(groundedRefs);
         
         const outputData = {
+            schema_version: SCHEMA_VERSION,
             source_file: sourceFilename,
             source_file_full_path: path.resolve(sourcePath),
             analysis_date: new Date().toISOString(),
-            analysis_method: 'Enhanced AI with comprehensive prompting for compliance',
+            analysis_method: ANALYSIS_METHODS[this.engine],
+            engine: this.engine,
+            llm: this.provider ? { provider: this.provider.name, model: this.provider.model } : null,
             local_circulars_scanned: Object.keys(this.localCirculars).length,
             summary: {
-                total_references: references.length,
+                total_references: groundedRefs.length,
                 local_references: localRefs.length,
-                external_references: externalRefs.length
+                external_references: externalRefs.length,
+                obtained_external: obtainedRefs.length,
+                missing_references: missingRefs.length,
+                ambiguous_local_matches: ambiguousRefs.length,
+                ungrounded_references: ungroundedRefs.length,
+                page_numbers_corrected: groundedRefs
+                    .flatMap(r => r.occurrences || [r])
+                    .filter(r => 'claimed_page_number' in r).length,
+                ...summarizeIdentities(groundedRefs),
+                relationships: Object.fromEntries(RELATIONSHIPS.map(relationship => [
+                    relationship, groundedRefs.filter(r => (r.relationship || 'refers_to') === relationship).length
+                ]))
             },
             compliance_note: 'Complete regulatory reference analysis. Local references are immediately available for review. External references should be obtained for full compliance assessment.',
             local_references: localRefs,
             external_references: externalRefs,
-            all_references: references
+            ambiguous_local_matches: ambiguousRefs,
+            all_references: groundedRefs,
+            ungrounded_references: ungroundedRefs
         };
         
+        await fs.ensureDir(outputDir);
         await fs.writeJson(outputFilename, outputData, { spaces: 2 });
-        console.log(chalk.green(`\n💾 Compliance analysis saved to: ${outputFilename}`));
+        this.log(chalk.green(`\n💾 Compliance analysis saved to: ${outputFilename}`));
+
+        const reports = await writeReports(outputData, {
+            formats,
+            outputDir,
+            baseName: path.parse(outputFilename).name
+        });
+        for (const report of reports) {
+            this.log(chalk.green(`📑 Report saved to: ${report}`));
+        }
+        return outputFilename;
+    }
+
+    /**
+     * Save what the successful parts of a failed AI analysis found, with the
+     * failed parts listed. The file is named `partial_references_*` so it is
+     * never mistaken for a complete analysis. Returns its path.
+     */
+    async savePartialResults(error, sourceFilename, sourcePath, { outputDir = '.' } = {}) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '').slice(0, -5);
+        const outputFilename = path.join(outputDir, `partial_references_${path.parse(sourceFilename).name}_${timestamp}.json`);
+        
+        await fs.ensureDir(outputDir);
+        await fs.writeJson(outputFilename, {
+            schema_version: SCHEMA_VERSION,
+            status: 'incomplete',
+            source_file: sourceFilename,
+            source_file_full_path: path.resolve(sourcePath),
+            analysis_date: new Date().toISOString(),
+            engine: this.engine,
+            llm: this.provider ? { provider: this.provider.name, model: this.provider.model } : null,
+            error: error.message,
+            parts: {
+                total: error.totalParts,
+                completed: error.totalParts - error.failedParts.length,
+                failed: error.failedParts
+            },
+            references: error.references
+        }, { spaces: 2 });
+        return outputFilename;
+    }
+
+    /**
+     * Analyze two versions of a circular with the configured engine and
+     * compare them paragraph by paragraph (see analysis-diff.js).
+     */
+    async compareVersions(oldPath, newPath) {
+        const versions = [];
+        for (const pdfPath of [oldPath, newPath]) {
+            const references = this.consolidateReferences(this.enhanceReferencesWithAvailability(
+                await this.findReferences(pdfPath, { throwOnError: true }), path.basename(pdfPath)
+            ));
+            const { pages } = await this.extractTextFromPdf(pdfPath);
+            versions.push({ file: pdfPath, pages, references });
+        }
+        return diffDocumentVersions(...versions);
+    }
+
+    /**
+     * Run the analysis pipeline on `pdfPath` and score it against `gold`.
+     * Ungrounded references are left out, as they are from saved analyses.
+     */
+    async evaluate(gold, pdfPath) {
+        try {
+            const references = await this.findReferences(pdfPath, { throwOnError: true });
+            const predicted = this.consolidateReferences(this.enhanceReferencesWithAvailability(references, gold.source_file));
+            return scoreDocument(gold, predicted.filter(ref => ref.grounded !== false));
+        } catch (error) {
+            return failedDocument(gold, error);
+        }
+    }
+
+    /**
+     * Rule-based obligations and deadlines for one PDF (no AI involved).
+     * Relative deadlines are counted from the issue date.
+     */
+    async findObligations(pdfPath) {
+        const sourceFilename = path.basename(pdfPath);
+        const document = await this.extractTextFromPdf(pdfPath);
+        const firstPages = document.pages.slice(0, 2).join('\n');
+        const issueDate = circularDate({ filename: sourceFilename, date: this.extractDate(firstPages) }) || null;
+
+        return {
+            source_file: sourceFilename,
+            circular_number: this.localCirculars[sourceFilename]?.circular_number || this.extractCircularNumber(firstPages),
+            issue_date: issueDate,
+            obligations: extractObligations(document.pages, { taxonomy: this.taxonomy, sourceFile: sourceFilename, issueDate })
+                .map(obligation => ({ source_file: sourceFilename, ...obligation }))
+        };
+    }
+
+    /**
+     * Write `obligations_<name>_<timestamp>.json` plus an `.ics` calendar of
+     * its dated obligations to `outputDir`. Returns the JSON path.
+     */
+    async saveObligations(result, sourcePath, { outputDir = '.' } = {}) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '').slice(0, -5);
+        const baseName = `obligations_${path.parse(result.source_file).name}_${timestamp}`;
+        const outputFilename = path.join(outputDir, `${baseName}.json`);
+
+        await fs.ensureDir(outputDir);
+        await fs.writeJson(outputFilename, {
+            source_file: result.source_file,
+            source_file_full_path: path.resolve(sourcePath),
+            analysis_date: new Date().toISOString(),
+            analysis_method: 'Rule-based obligation and deadline extraction',
+            circular_number: result.circular_number,
+            issue_date: result.issue_date,
+            summary: summarizeObligations(result.obligations),
+            obligations: result.obligations
+        }, { spaces: 2 });
+        this.log(chalk.green(`\n💾 Obligations saved to: ${outputFilename}`));
+
+        const calendarFile = path.join(outputDir, `${baseName}.ics`);
+        await fs.writeFile(calendarFile, renderIcs(result.obligations, { calendarName: result.circular_number || result.source_file }));
+        this.log(chalk.green(`📅 Calendar saved to: ${calendarFile}`));
         return outputFilename;
     }
 }
 
-async function main() {
-    const program = new Command();
-    
-    program
-        .name('sebi-reference-finder')
-        .description('AI-powered SEBI compliance reference finder')
-        .version('1.0.0')
-        .argument('<pdf_file>', 'PDF file to analyze')
-        .action(async (pdfFile) => {
-            try {
-                // Validate input
-                if (!await fs.pathExists(pdfFile)) {
-                    console.log(chalk.red(`❌ Error: File '${pdfFile}' not found`));
-                    process.exit(1);
-                }
-                
-                if (!pdfFile.toLowerCase().endsWith('.pdf')) {
-                    console.log(chalk.red(`❌ Error: '${pdfFile}' is not a PDF file`));
-                    process.exit(1);
-                }
-                
-                console.log(chalk.bold.blue('🚀 SEBI Enhanced AI Reference Finder'));
-                console.log('='.repeat(50));
-                
-                const finder = new EnhancedAIReferenceFinder();
-                
-                // Load local circular database
-                await finder.loadLocalCirculars();
-                
-                if (Object.keys(finder.localCirculars).length === 0) {
-                    console.log(chalk.red('❌ No local circulars found'));
-                    process.exit(1);
-                }
-                
-                // Run AI analysis
-                const references = await finder.analyzeWithEnhancedAI(pdfFile);
-                
-                // Enhance with availability info
-                const enhancedReferences = finder.enhanceReferencesWithAvailability(
-                    references, path.basename(pdfFile)
-                );
-                
-                // Display results
-                finder.formatResults(enhancedReferences, path.basename(pdfFile));
-                
-                // Save results
-                await finder.saveResults(enhancedReferences, path.basename(pdfFile), pdfFile);
-                
-                console.log(chalk.green('\n✅ Enhanced AI reference analysis completed!'));
-                
-            } catch (error) {
-                console.log(chalk.red(`❌ Error: ${error.message}`));
-                process.exit(1);
-            }
-        });
+async function loadFinder(options = {}) {
+    const finder = new EnhancedAIReferenceFinder(options);
+    await finder.loadLocalCirculars();
+
+    if (Object.keys(finder.localCirculars).length === 0) {
+        console.log(chalk.red('❌ No local circulars found'));
+        process.exit(1);
+    }
+    return finder;
+}
+
+function parseEngine(value) {
+    const engine = value.toLowerCase();
+    if (!ENGINES.includes(engine)) {
+        console.log(chalk.red(`❌ Error: Unknown engine '${value}' (expected ${ENGINES.join(', ')})`));
+        process.exit(1);
+    }
+    return engine;
+}
+
+// Commander parser for integer options; `min` is 1 for sizes and 0 for counts and delays.
+function parseInteger(flag, min) {
+    return value => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min) {
+            console.log(chalk.red(`❌ Error: ${flag} must be ${min > 0 ? 'a positive' : 'a non-negative'} integer (got '${value}')`));
+            process.exit(1);
+        }
+        return number;
+    };
+}
+
+function addLlmOptions(command) {
+    return command
+        .option('-e, --engine <engine>', `extraction engine (${ENGINES.join(', ')})`, parseEngine, 'ai')
+        .option('-p, --provider <provider>', `LLM provider (${PROVIDERS.join(', ')})`)
+        .option('-m, --model <model>', 'model name for the provider')
+        .option('--base-url <url>', 'API base URL (OpenAI-compatible or Ollama endpoint)')
+        .option('--temperature <n>', 'sampling temperature', parseFloat)
+        .option('--timeout <ms>', 'request timeout in milliseconds', parseInteger('--timeout', 1))
+        .option('--replay-dir <dir>', 'directory of canned responses for the mock provider')
+        .option('--record-dir <dir>', 'save every LLM response here for later replay')
+        .option('--chunk-tokens <n>', 'token budget for document text per AI request', parseInteger('--chunk-tokens', 1), DEFAULT_CHUNK_TOKENS)
+        .option('--chunk-overlap <n>', 'tokens repeated between consecutive parts', parseInteger('--chunk-overlap', 0), DEFAULT_CHUNK_OVERLAP)
+        .option('--retries <n>', 'retries per AI request after an API error or invalid response', parseInteger('--retries', 0), DEFAULT_RETRIES)
+        .option('--retry-delay <ms>', 'initial backoff between retries, doubled each time', parseInteger('--retry-delay', 0), DEFAULT_RETRY_DELAY)
+        .option('--config <file>', 'JSON config file (default: sebi-finder.config.json)');
+}
+
+// The rule engine never calls a model, so it runs without any provider settings.
+async function buildProvider(options) {
+    if (options.engine === 'rules') {
+        return null;
+    }
+
+    try {
+        return createProvider(await loadConfig(options));
+    } catch (error) {
+        console.error(`❌ ERROR: ${error.message}`);
+        if (/GEMINI_API_KEY/.test(error.message)) {
+            console.error('Please create a .env.local file with: GEMINI_API_KEY=your_api_key_here');
+        }
+        console.error('💡 Choose another provider with --provider, or run offline with: --engine rules');
+        process.exit(1);
+    }
+}
+
+function chunkingOptions(options) {
+    return { maxTokens: options.chunkTokens, overlapTokens: options.chunkOverlap };
+}
+
+function retryOptions(options) {
+    return { retries: options.retries, delay: options.retryDelay };
+}
+
+function parseList(value) {
+    return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function parseReportFormats(value) {
+    // JSON is always written; accept it in the list for convenience.
+    const formats = parseList(value).filter(format => format !== 'json');
+    const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        console.log(chalk.red(`❌ Error: Unsupported report format(s): ${unknown.join(', ')} (expected ${REPORT_FORMATS.join(', ')})`));
+        process.exit(1);
+    }
+    return formats;
+}
+
+/**
+ * Load the latest analyses into a citation graph. With `classify`, analyses
+ * saved before relationships were recorded are classified from each
+ * reference's saved context, so they do not all count as plain citations.
+ */
+async function loadGraph(analysisDirs, localCirculars = {}, { classify = false } = {}) {
+    const analyses = await loadLatestAnalyses(analysisDirs);
+    if (analyses.length === 0) {
+        console.log(chalk.red(`❌ No saved analyses found in: ${analysisDirs.join(', ')}`));
+        console.log(chalk.yellow('💡 Run analyze-all (or analyze individual PDFs) first'));
+        process.exit(1);
+    }
+    console.log(chalk.blue(`🕸️  Loaded ${analyses.length} analyses`));
+
+    if (classify) {
+        const unclassified = analyses.filter(analysis => (analysis.all_references || []).some(ref => !ref.relationship));
+        for (const analysis of unclassified) {
+            analysis.all_references = analysis.all_references.map(ref =>
+                ref.relationship ? ref : classifyReferences([ref])[0]
+            );
+        }
+        if (unclassified.length > 0) {
+            console.log(chalk.yellow(`⚠️  ${unclassified.length} analyses predate relationship classification; classified from saved context (re-analyze for effective dates)`));
+        }
+    }
+    return CitationGraph.fromAnalyses(analyses, localCirculars);
+}
+
+function printImpactReport(report) {
+    const impact = report.direction === 'incoming';
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue(impact ? '💥 IMPACT ANALYSIS' : '🔗 DEPENDENCY ANALYSIS'));
+    console.log(chalk.blue(`🔎 Query: ${report.query}`));
+    console.log('='.repeat(80));
+
+    if (report.matched.length === 0) {
+        console.log(chalk.red('❌ No circular or referenced document matches this query.'));
+        return;
+    }
+
+    for (const node of report.matched) {
+        console.log(chalk.blue(`🎯 Matched: ${node.label}${node.kind === 'external' ? ' (external)' : ''}`));
+    }
+
+    if (report.results.length === 0) {
+        console.log(chalk.yellow(impact ? '\n✅ No analyzed circular depends on this document.' : '\n✅ This document has no recorded references.'));
+        return;
+    }
+
+    const direct = report.results.filter(result => result.depth === 1);
+    const transitive = report.results.filter(result => result.depth > 1);
+    console.log(chalk.blue(`📊 SUMMARY: ${direct.length} Direct | ${transitive.length} Transitive`));
+
+    report.results.forEach((result, i) => {
+        const kind = result.depth === 1 ? 'DIRECT' : `TRANSITIVE (depth ${result.depth})`;
+        const color = result.depth === 1 ? chalk.red : chalk.yellow;
+        console.log(color(`\n${i + 1}. ${result.node.label}`));
+        console.log(`   📂 ${kind}${result.node.kind === 'external' ? ' · external document' : ''}`);
+
+        // Impact chains are recorded from the query outwards; show them in citation order.
+        const hops = impact ? [...result.chain].reverse() : result.chain;
+        for (const edge of hops) {
+            const mention = edge.mentions[0] || {};
+            const more = edge.mentions.length > 1 ? ` (+${edge.mentions.length - 1} more)` : '';
+            console.log(`   ↳ ${edge.source} → ${edge.target}`);
+            console.log(`      📍 Page: ${mention.page_number ?? 'N/A'}${more}`);
+            console.log(`      📝 Context: ${(mention.context || mention.exact_text || 'N/A').substring(0, 200)}`);
+        }
+    });
+
+    if (report.cycles.length > 0) {
+        console.log(chalk.magenta(`\n🔁 CYCLES DETECTED (${report.cycles.length}):`));
+        for (const cycle of report.cycles) {
+            console.log(`   ${[...cycle, cycle[0]].join(' → ')}`);
+        }
+    }
+}
+
+function printIndexStatus(index, scan) {
+    const failures = index.failures();
+    const stale = scan.added.length + scan.changed.length + scan.deleted.length;
+
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue('🗂️  LOCAL CIRCULAR INDEX STATUS'));
+    console.log(chalk.blue(`💾 Index: ${path.relative(process.cwd(), index.indexPath) || index.indexPath}`));
+    console.log(chalk.blue(`🕐 Last updated: ${index.data.updated_at || 'never'}`));
+    console.log('='.repeat(80));
+    console.log(chalk.blue(`📊 SUMMARY: ${scan.unchanged.length} Up to date | ${stale} Stale | ${failures.length} Failed`));
+
+    const sections = [
+        ['🆕 NEW (not yet indexed)', scan.added, chalk.yellow],
+        ['✏️  CHANGED (content differs from index)', scan.changed, chalk.yellow],
+        ['🗑️  DELETED (indexed but no longer on disk)', scan.deleted, chalk.red]
+    ];
+    for (const [title, files, color] of sections) {
+        if (files.length > 0) {
+            console.log(color(`\n${title} (${files.length}):`));
+            files.forEach(file => console.log(`   • ${file}`));
+        }
+    }
+
+    if (failures.length > 0) {
+        console.log(chalk.red(`\n❌ EXTRACTION FAILURES (${failures.length}):`));
+        for (const failure of failures) {
+            console.log(`   • ${failure.filename}`);
+            console.log(`     💭 ${failure.error} (${failure.indexed_at})`);
+        }
+    }
+
+    if (stale > 0) {
+        console.log(chalk.yellow(`\n💡 Run 'index rebuild' to bring the index up to date`));
+    }
+}
+
+function printCircularList(circulars, taxonomy) {
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue(`📚 LOCAL CIRCULARS (${circulars.length})`));
+    console.log('='.repeat(80));
+
+    if (circulars.length === 0) {
+        console.log(chalk.yellow('No circular matches these filters.'));
+        return;
+    }
+
+    for (const circular of circulars) {
+        console.log(chalk.green(`\n📄 ${circular.filename}`));
+        const details = [circular.circular_number, circular.date].filter(Boolean).map(detail => detail.replace(/\s+/g, ' '));
+        if (details.length > 0) {
+            console.log(`   🔢 ${details.join(' | ')}`);
+        }
+        if (circular.subject) {
+            console.log(`   📝 ${circular.subject}`);
+        }
+        if (circular.department) {
+            console.log(`   🏛️  ${circular.department}${circular.department_name ? ` - ${circular.department_name}` : ''}`);
+        }
+        const entities = circular.entities.map(id => entityById(taxonomy, id)?.label || id);
+        console.log(`   🏢 ${entities.length > 0 ? entities.join(', ') : chalk.gray('no entity type recognized')}`);
+    }
+}
+
+async function runListCommand(options) {
+    try {
+        const finder = new EnhancedAIReferenceFinder();
+        const index = finder.createIndex();
+        await index.update();
+
+        const circulars = Object.values(index.circulars())
+            .filter(circular => !options.entity || circularHasEntity(circular, options.entity))
+            .filter(circular => !options.department || matchesDepartment(circular.department, options.department))
+            .sort((a, b) => a.filename.localeCompare(b.filename));
+
+        if (options.json) {
+            console.log(JSON.stringify(circulars, null, 2));
+        } else {
+            printCircularList(circulars, finder.taxonomy);
+        }
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+async function runImpactCommand(query, direction, options) {
+    try {
+        const graph = await loadGraph(options.analyses);
+        const report = analyzeImpact(graph, query, direction);
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printImpactReport(report);
+        }
+
+        if (report.matched.length === 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+const CITING_CIRCULARS_SHOWN = 5;
+
+function printAcquisitionList(report, limit) {
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue('📥 ACQUISITION LIST: external documents we do not hold'));
+    console.log(chalk.blue(`📊 SUMMARY: ${report.summary.missing_documents} Missing (${report.summary.unregistered} unregistered) | ` +
+        `${report.summary.obtained_references} references already covered by obtained copies | ${report.summary.analyses} analyses`));
+    console.log('='.repeat(80));
+
+    if (report.documents.length === 0) {
+        console.log(chalk.green('✅ Every cited external document has been obtained.'));
+        return;
+    }
+
+    report.documents.slice(0, limit).forEach((document, i) => {
+        const label = document.registered ? chalk.gray(`[${document.registry_id}]`) : chalk.yellow('[not registered]');
+        console.log(chalk.red(`\n${i + 1}. ${document.title} `) + label);
+        const details = [document.number, document.date, document.kind.replace(/_/g, ' ')].filter(Boolean);
+        console.log(chalk.gray(`   ${details.join(' | ')}`));
+        console.log(`   📚 Cited by ${document.citing_circulars} circular${document.citing_circulars === 1 ? '' : 's'} (${document.mentions} mentions)`);
+        for (const filename of document.cited_by.slice(0, CITING_CIRCULARS_SHOWN)) {
+            console.log(chalk.gray(`      • ${filename}`));
+        }
+        if (document.cited_by.length > CITING_CIRCULARS_SHOWN) {
+            console.log(chalk.gray(`      • ... and ${document.cited_by.length - CITING_CIRCULARS_SHOWN} more`));
+        }
+    });
+
+    if (report.documents.length > limit) {
+        console.log(chalk.gray(`\n... ${report.documents.length - limit} more (use --limit)`));
+    }
+    if (report.summary.unregistered > 0) {
+        console.log(chalk.yellow(`\n💡 Add unregistered documents to ${EXTERNAL_REGISTRY_FILE}; set "obtained": true and "location" once you have a copy`));
+    }
+}
+
+async function runAcquisitionListCommand(options) {
+    try {
+        const analyses = await loadLatestAnalyses(options.analyses);
+        if (analyses.length === 0) {
+            console.log(chalk.red(`❌ No saved analyses found in: ${options.analyses.join(', ')}`));
+            console.log(chalk.yellow('💡 Run analyze-all (or analyze individual PDFs) first'));
+            process.exit(1);
+        }
+
+        const report = acquisitionList(analyses, loadRegistry(path.join(__dirname, EXTERNAL_REGISTRY_FILE)));
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printAcquisitionList(report, options.limit);
+        }
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+const STATUS_LABELS = {
+    rescinded: chalk.red('⛔ RESCINDED'),
+    superseded: chalk.red('⛔ SUPERSEDED'),
+    amended: chalk.yellow('✏️  IN FORCE, AS AMENDED'),
+    clarified: chalk.green('✅ IN FORCE (clarified)'),
+    in_force: chalk.green('✅ IN FORCE')
+};
+
+function printStatusReport(report) {
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue('📜 CIRCULAR STATUS'));
+    console.log(chalk.blue(`🔎 Query: ${report.query}${report.provision ? ` · provision ${report.provision}` : ''}`));
+    console.log('='.repeat(80));
+
+    if (report.matched.length === 0) {
+        console.log(chalk.red('❌ No circular or referenced document matches this query.'));
+        return;
+    }
+
+    for (const node of report.matched) {
+        console.log(chalk.blue(`🎯 Matched: ${node.label}${node.kind === 'external' ? ' (external)' : ''}`));
+    }
+
+    console.log(`\n📌 Status: ${STATUS_LABELS[report.status]}`);
+    if (report.status === 'in_force') {
+        console.log(chalk.gray('   No analyzed circular modifies, supersedes or rescinds it.'));
+    }
+    console.log(`📚 Cited without changes by: ${report.cited_by.length} circular(s)`);
+
+    report.events.forEach((event, i) => {
+        console.log(chalk.yellow(`\n${i + 1}. ${event.relationship.toUpperCase()}${event.affected_provision ? ` ${event.affected_provision}` : ' (whole document)'}`));
+        console.log(`   📄 By: ${event.source_label}${event.source_label !== event.source ? ` (${event.source})` : ''}`);
+        if (event.source_date) {
+            console.log(`   🗓️  Issued: ${event.source_date}`);
+        }
+        if (event.effective_date) {
+            console.log(`   ⏱️  Effective: ${event.effective_date}`);
+        }
+        console.log(`   📍 Page: ${event.page_number ?? 'N/A'}`);
+        console.log(`   📝 Context: ${(event.context || event.exact_text || 'N/A').substring(0, 200)}`);
+    });
+}
+
+async function runStatusCommand(target, options) {
+    try {
+        // Seed circular dates from the index so events can be ordered by issue date.
+        const index = new EnhancedAIReferenceFinder().createIndex();
+        await index.load();
+
+        const graph = await loadGraph(options.analyses, index.circulars(), { classify: true });
+        const report = circularStatus(graph, target, { provision: options.provision || null });
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printStatusReport(report);
+        }
+
+        if (report.matched.length === 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+function highlight(snippet) {
+    let text = '';
+    let at = 0;
+    for (const [from, to] of snippet.highlights) {
+        text += snippet.text.slice(at, from) + chalk.bold.yellow(snippet.text.slice(from, to));
+        at = to;
+    }
+    return text + snippet.text.slice(at);
+}
+
+function printSearchResults(report) {
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue('🔎 SEARCH RESULTS'));
+    console.log(chalk.blue(`📝 Query: ${report.query}${report.phrases.length > 0 ? ` (phrases: ${report.phrases.map(phrase => `"${phrase}"`).join(', ')})` : ''}`));
+    console.log('='.repeat(80));
+
+    if (report.total === 0) {
+        console.log(chalk.yellow('No circular matches this query.'));
+        return;
+    }
+    console.log(chalk.blue(`📊 ${report.total} circular(s) match; showing ${report.results.length}`));
+
+    report.results.forEach((result, i) => {
+        console.log(chalk.green(`\n${i + 1}. 📄 ${result.filename}`) + chalk.gray(`  score ${result.score}`));
+        const details = [result.circular_number, result.date, result.department && `dept ${result.department}`].filter(Boolean);
+        if (details.length > 0) {
+            console.log(`   🔢 ${details.join(' | ')}`);
+        }
+        for (const hit of result.hits) {
+            console.log(`   📍 Page ${hit.page}: ${highlight(hit.snippet)}`);
+        }
+        if (result.matching_pages > result.hits.length) {
+            console.log(chalk.gray(`   ... ${result.matching_pages - result.hits.length} more matching page(s)`));
+        }
+    });
+}
+
+function parseIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        console.log(chalk.red(`❌ Error: '${value}' is not a YYYY-MM-DD date`));
+        process.exit(1);
+    }
+    return value;
+}
+
+function parseEntity(value) {
+    try {
+        return resolveEntity(loadTaxonomy(path.join(__dirname, TAXONOMY_FILE)), value).id;
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+async function runSearchCommand(query, options) {
+    try {
+        // Pick up new or changed PDFs first; both indexes only process what changed.
+        const index = new EnhancedAIReferenceFinder().createIndex();
+        await index.update();
+
+        const searchIndex = new SearchIndex(path.join(__dirname, LOCAL_SEARCH_INDEX_FILE));
+        await searchIndex.load();
+        const { added, removed } = searchIndex.update(index);
+        if (added > 0 || removed > 0 || !searchIndex.data.updated_at) {
+            await searchIndex.save();
+        }
+
+        const report = searchIndex.search(query, index, {
+            from: options.from || null,
+            to: options.to || null,
+            department: options.department || null,
+            entity: options.entity || null,
+            limit: options.limit,
+            pagesPerFile: options.pages
+        });
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printSearchResults(report);
+        }
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+function printReferenceChanges(diff) {
+    const line = ref => `${ref.exact_text}` + chalk.gray(` (${[ref.reference_type, ref.availability_status, ref.page_number != null ? `page ${ref.page_number}` : null].filter(Boolean).join(', ')})`);
+
+    if (diff.added.length > 0) {
+        console.log(chalk.green(`\n➕ ADDED (${diff.added.length}):`));
+        diff.added.forEach(ref => console.log(`   + ${line(ref)}`));
+    }
+    if (diff.removed.length > 0) {
+        console.log(chalk.red(`\n➖ REMOVED (${diff.removed.length}):`));
+        diff.removed.forEach(ref => console.log(`   - ${line(ref)}`));
+    }
+    if (diff.changed.length > 0) {
+        console.log(chalk.yellow(`\n✏️  CHANGED (${diff.changed.length}):`));
+        for (const entry of diff.changed) {
+            console.log(`   ~ ${entry.exact_text}`);
+            for (const change of entry.changes) {
+                const flag = ['availability_status', 'confidence'].includes(change.field) && !change.re_resolution ? chalk.yellow('⚠️ ') : '';
+                const note = change.re_resolution ? chalk.gray(' (re-resolved against the registry)') : '';
+                console.log(`     ${flag}${change.field}: ${change.from ?? '-'} → ${change.to ?? '-'}${note}`);
+            }
+        }
+    }
+}
+
+function printAnalysisDiff(report) {
+    const describeRun = side => [side.source_file, side.engine, side.llm && `${side.llm.provider}/${side.llm.model}`, side.analysis_date]
+        .filter(Boolean).join(' | ');
+
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue('🔀 ANALYSIS DIFF'));
+    console.log(chalk.blue(`📄 A: ${report.a.file}`) + chalk.gray(`\n      ${describeRun(report.a)}`));
+    console.log(chalk.blue(`📄 B: ${report.b.file}`) + chalk.gray(`\n      ${describeRun(report.b)}`));
+    console.log('='.repeat(80));
+    if (!report.same_source) {
+        console.log(chalk.yellow('⚠️ The analyses are of different source files'));
+    }
+
+    const { summary } = report;
+    console.log(chalk.blue(`📊 SUMMARY: ${summary.added} Added | ${summary.removed} Removed | ${summary.changed} Changed | ${summary.unchanged} Unchanged`));
+    if (summary.availability_changes > 0 || summary.confidence_changes > 0) {
+        console.log(chalk.yellow(`⚠️ ${summary.availability_changes} availability change(s), ${summary.confidence_changes} confidence change(s)`));
+    }
+    if (summary.re_resolutions > 0) {
+        console.log(chalk.gray(`🔁 ${summary.re_resolutions} legacy external reference(s) re-resolved against the registry`));
+    }
+    printReferenceChanges(report);
+}
+
+function printVersionDiff(report) {
+    const { paragraphs, ...summary } = report.summary;
+
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue('🔀 CIRCULAR VERSION DIFF'));
+    console.log(chalk.blue(`📄 Old: ${report.old.file} (${report.old.pages} pages, ${report.old.references} references)`));
+    console.log(chalk.blue(`📄 New: ${report.new.file} (${report.new.pages} pages, ${report.new.references} references)`));
+    console.log('='.repeat(80));
+    console.log(chalk.blue(`📊 PARAGRAPHS: ${paragraphs.modified} Modified | ${paragraphs.added} Added | ${paragraphs.removed} Removed | ${paragraphs.unchanged} Unchanged`));
+    console.log(chalk.blue(`📊 REFERENCES: ${summary.references_introduced} Introduced | ${summary.references_dropped} Dropped`));
+    if (summary.references_not_located > 0) {
+        console.log(chalk.gray(`   (${summary.references_not_located} reference(s) could not be placed in a paragraph)`));
+    }
+
+    const labels = { modified: chalk.yellow('✏️  MODIFIED'), added: chalk.green('➕ ADDED'), removed: chalk.red('➖ REMOVED'), unchanged: chalk.gray('= UNCHANGED') };
+    for (const paragraph of report.paragraphs) {
+        let where = paragraph.status === 'removed'
+            ? `para ${paragraph.old_number ?? 'preamble'} (old page ${paragraph.old_page})`
+            : `para ${paragraph.new_number ?? 'preamble'} (page ${paragraph.new_page})`;
+        if (!['added', 'removed'].includes(paragraph.status) && paragraph.old_number !== paragraph.new_number) {
+            where += `, was para ${paragraph.old_number ?? 'preamble'}`;
+        }
+        console.log(`\n${labels[paragraph.status]} ${where}`);
+        console.log(chalk.gray(`   ${paragraph.new_text ?? paragraph.old_text}`));
+        paragraph.references_introduced.forEach(ref => console.log(chalk.green(`   + ${ref.exact_text}`)));
+        paragraph.references_dropped.forEach(ref => console.log(chalk.red(`   - ${ref.exact_text}`)));
+    }
+
+    console.log(chalk.blue('\n📋 DOCUMENT-LEVEL REFERENCE CHANGES:'));
+    const { added, removed, changed, unchanged } = report.references.summary;
+    console.log(`   ${added} Added | ${removed} Removed | ${changed} Changed | ${unchanged} Unchanged`);
+    printReferenceChanges(report.references);
+}
+
+async function runDiffCommand(first, second, options) {
+    try {
+        const kinds = [first, second].map(file => path.extname(file).toLowerCase());
+        for (const file of [first, second]) {
+            if (!await fs.pathExists(file)) {
+                console.log(chalk.red(`❌ Error: File '${file}' not found`));
+                process.exit(1);
+            }
+        }
+
+        let report;
+        if (kinds.every(kind => kind === '.json')) {
+            report = diffAnalyses(await fs.readJson(first), await fs.readJson(second), { fileA: first, fileB: second });
+        } else if (kinds.every(kind => kind === '.pdf')) {
+            const provider = await buildProvider(options);
+            const finder = await loadFinder({
+                engine: options.engine,
+                provider,
+                chunking: chunkingOptions(options),
+                retry: retryOptions(options)
+            });
+            report = await finder.compareVersions(first, second);
+        } else {
+            console.log(chalk.red('❌ Error: Compare two analysis JSON files or two PDF versions, not one of each'));
+            process.exit(1);
+        }
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else if (report.paragraphs) {
+            printVersionDiff(report);
+        } else {
+            printAnalysisDiff(report);
+        }
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+const DEADLINE_LABELS = {
+    due_by: 'due by',
+    effective_from: 'effective from',
+    relative: 'relative',
+    immediate: 'immediate'
+};
+
+function printObligations(result) {
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue(`📋 OBLIGATIONS: ${result.source_file}`));
+    if (result.circular_number || result.issue_date) {
+        console.log(chalk.blue(`🔢 ${[result.circular_number, result.issue_date].filter(Boolean).join(' | ')}`));
+    }
+    console.log('='.repeat(80));
+
+    if (result.obligations.length === 0) {
+        console.log(chalk.yellow('No obligations found.'));
+        return;
+    }
+
+    result.obligations.forEach((obligation, i) => {
+        console.log(chalk.green(`\n${i + 1}. 🏢 ${obligation.entities.join(', ') || 'Addressees'}`));
+        console.log(`   📝 ${obligation.action}`);
+        if (obligation.deadline_type) {
+            const when = obligation.deadline || obligation.deadline_text;
+            console.log(chalk.yellow(`   📅 ${DEADLINE_LABELS[obligation.deadline_type]}: ${when}`) +
+                (obligation.deadline ? chalk.gray(` ("${obligation.deadline_text}")`) : ''));
+        }
+        console.log(chalk.gray(`   📍 Page ${obligation.page_number}`));
+    });
+}
+
+async function runObligationsCommand(pdfFile, options) {
+    try {
+        if (!pdfFile && !options.all) {
+            console.log(chalk.red('❌ Error: Give a PDF file or --all'));
+            process.exit(1);
+        }
+        if (pdfFile && !await fs.pathExists(pdfFile)) {
+            console.log(chalk.red(`❌ Error: File '${pdfFile}' not found`));
+            process.exit(1);
+        }
+
+        const finder = await loadFinder({ engine: 'rules' });
+        const outputDir = options.outDir || (options.all ? 'obligations' : '.');
+
+        if (!options.all) {
+            const result = await finder.findObligations(pdfFile);
+            printObligations(result);
+            await finder.saveObligations(result, pdfFile, { outputDir });
+            return;
+        }
+
+        finder.quiet = true;
+        const all = [];
+        for (const filename of Object.keys(finder.localCirculars).sort()) {
+            const pdfPath = path.join(__dirname, LOCAL_CIRCULARS_DIR, filename);
+            const result = await finder.findObligations(pdfPath);
+            await finder.saveObligations(result, pdfPath, { outputDir });
+            console.log(chalk.green(`  ✅ ${filename}: ${result.obligations.length} obligations`));
+            all.push(...result.obligations.map(obligation => ({
+                ...obligation,
+                circular_number: result.circular_number,
+                issue_date: result.issue_date
+            })));
+        }
+
+        const trackerFile = path.join(outputDir, 'obligations_tracker.csv');
+        const calendarFile = path.join(outputDir, 'obligations.ics');
+        await fs.writeFile(trackerFile, renderCsv(trackerModel(all)));
+        await fs.writeFile(calendarFile, renderIcs(all));
+
+        const summary = summarizeObligations(all);
+        console.log(chalk.blue('\n📊 OBLIGATIONS SUMMARY:'));
+        console.log(`   📋 Obligations: ${summary.total_obligations} (${summary.with_deadline} with a dated deadline)`);
+        console.log(chalk.green(`   💾 ${trackerFile}`));
+        console.log(chalk.green(`   📅 ${calendarFile}`));
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+async function runWatchCommand(options) {
+    try {
+        const unknownFormats = options.graphFormat.filter(format => !GRAPH_FORMATS.includes(format));
+        if (unknownFormats.length > 0) {
+            console.log(chalk.red(`❌ Error: Unsupported graph format(s): ${unknownFormats.join(', ')}`));
+            process.exit(1);
+        }
+        if (!Number.isInteger(options.debounce) || options.debounce < 0) {
+            console.log(chalk.red('❌ Error: --debounce must be a non-negative number of milliseconds'));
+            process.exit(1);
+        }
+
+        const provider = await buildProvider(options);
+
+        console.log(chalk.bold.blue('🚀 SEBI Enhanced AI Reference Finder - Watch Mode'));
+        console.log('='.repeat(50));
+
+        const finder = new EnhancedAIReferenceFinder({
+            engine: options.engine,
+            provider,
+            chunking: chunkingOptions(options),
+            retry: retryOptions(options)
+        });
+        const scan = await finder.loadLocalCirculars();
+        if (!scan) {
+            process.exit(1);
+        }
+        finder.quiet = true;
+
+        const watcher = new CircularWatcher(finder, {
+            circularsPath: path.join(__dirname, LOCAL_CIRCULARS_DIR),
+            outputDir: options.outDir,
+            analysisDirs: options.analyses,
+            debounceMs: options.debounce,
+            formats: options.format,
+            graphFormats: options.graphFormat
+        });
+
+        if (options.once) {
+            await watcher.catchUp(scan);
+            console.log(chalk.green(`\n✅ Done - run log: ${watcher.logPath}`));
+            return;
+        }
+
+        // Registered before the catch-up batch so Ctrl+C during it also shuts down cleanly
+        let stopping = false;
+        process.on('SIGINT', async () => {
+            stopping = true;
+            console.log(chalk.blue('\n👋 Finishing the current batch and shutting down'));
+            await watcher.stop();
+            process.exit(0);
+        });
+
+        await watcher.start();
+        await watcher.catchUp(scan);
+        if (stopping) {
+            return;
+        }
+        console.log(chalk.blue(`\n👀 Watching ${LOCAL_CIRCULARS_DIR}/ for new circulars (Ctrl+C to stop)`));
+        console.log(chalk.gray(`   Run log: ${watcher.logPath}`));
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+function formatMetric(value) {
+    return value === null || value === undefined ? '  n/a' : value.toFixed(3);
+}
+
+function printEvaluation(report) {
+    const { overall } = report;
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.blue(`🧪 EVALUATION: ${report.engine}${report.llm ? ` (${report.llm.provider} / ${report.llm.model})` : ''} against ${report.gold_dir}`));
+    console.log(chalk.blue(`📊 SUMMARY: ${overall.gold} Gold | ${overall.predicted} Predicted | ${overall.matched} Matched`));
+    console.log('='.repeat(80));
+
+    console.log(chalk.bold(`\n${'reference_type'.padEnd(28)}${'gold'.padStart(6)}${'pred'.padStart(6)}  precision  recall     f1`));
+    for (const [type, metrics] of Object.entries(report.by_reference_type)) {
+        console.log(`${type.padEnd(28)}${String(metrics.gold).padStart(6)}${String(metrics.predicted).padStart(6)}  ` +
+            `${formatMetric(metrics.precision).padStart(9)}  ${formatMetric(metrics.recall).padStart(6)}  ${formatMetric(metrics.f1).padStart(5)}`);
+    }
+    console.log(chalk.bold(`${'overall'.padEnd(28)}${String(overall.gold).padStart(6)}${String(overall.predicted).padStart(6)}  ` +
+        `${formatMetric(overall.precision).padStart(9)}  ${formatMetric(overall.recall).padStart(6)}  ${formatMetric(overall.f1).padStart(5)}`));
+
+    console.log(`\n   📍 Page accuracy: ${formatMetric(overall.page_accuracy)}`);
+    console.log(`   🎯 Local-match accuracy: ${formatMetric(overall.local_match_accuracy)}`);
+    console.log(`   📂 Reference type accuracy: ${formatMetric(overall.reference_type_accuracy)}`);
+
+    for (const document of report.documents) {
+        const status = document.error ? chalk.red(`❌ ${document.error}`) : `${document.counts.matched}/${document.gold} found, ${document.spurious.length} spurious`;
+        console.log(chalk.blue(`\n📄 ${document.source_file}: `) + status);
+        document.missed.forEach(ref => console.log(chalk.red(`   - missed: ${ref.exact_text} (${ref.reference_type})`)));
+        document.spurious.forEach(ref => console.log(chalk.yellow(`   + spurious: ${ref.exact_text} (${ref.reference_type})`)));
+        document.page_errors.forEach(error => console.log(chalk.gray(`   📍 ${error.exact_text}: pages ${error.actual.join(', ') || 'none'}, expected ${error.expected.join(', ') || 'none'}`)));
+        document.local_errors.forEach(error => console.log(chalk.gray(`   🎯 ${error.exact_text}: linked to ${error.actual || 'nothing'}, expected ${error.expected || 'nothing'}`)));
+    }
+
+    const unverified = report.documents.filter(document => !document.verified).length;
+    if (unverified > 0) {
+        console.log(chalk.yellow(`\n⚠️ ${unverified} gold files are not marked verified - check them by hand and set "verified": true`));
+    }
+}
+
+async function runEvalCommand(options) {
+    try {
+        const gold = await loadGold(options.goldDir);
+        if (gold.length === 0) {
+            console.log(chalk.red(`❌ No gold files found in: ${options.goldDir}`));
+            console.log(chalk.yellow('💡 Seed them from saved analyses with: eval seed compliance_references_*.json'));
+            process.exit(1);
+        }
+        const baseline = options.baseline ? await fs.readJson(options.baseline) : null;
+
+        const provider = await buildProvider(options);
+        const finder = await loadFinder({
+            engine: options.engine,
+            provider,
+            chunking: chunkingOptions(options),
+            retry: retryOptions(options)
+        });
+        finder.quiet = true;
+
+        const scored = [];
+        for (const entry of gold) {
+            const pdfPath = path.join(__dirname, LOCAL_CIRCULARS_DIR, entry.source_file);
+            const document = await fs.pathExists(pdfPath)
+                ? await finder.evaluate(entry, pdfPath)
+                : failedDocument(entry, new Error(`PDF not found in ${LOCAL_CIRCULARS_DIR}/`));
+            console.log(document.error
+                ? chalk.red(`  ❌ ${entry.source_file}: ${document.error}`)
+                : chalk.green(`  ✅ ${entry.source_file}: ${document.counts.matched}/${document.gold} gold references found`));
+            scored.push(document);
+        }
+
+        const report = {
+            evaluated_at: new Date().toISOString(),
+            gold_dir: options.goldDir,
+            engine: options.engine,
+            llm: provider ? { provider: provider.name, model: provider.model } : null,
+            ...summarizeEvaluation(scored),
+            documents: scored.map(({ pairs, ...document }) => document)
+        };
+
+        if (options.out) {
+            await fs.outputJson(options.out, report, { spaces: 2 });
+        }
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printEvaluation(report);
+            if (options.out) {
+                console.log(chalk.green(`\n💾 Evaluation report saved to: ${options.out}`));
+            }
+        }
+
+        const failures = [];
+        if (options.minF1 !== undefined && !(report.overall.f1 >= options.minF1)) {
+            failures.push(`F1 ${formatMetric(report.overall.f1)} is below --min-f1 ${options.minF1}`);
+        }
+        for (const drop of baseline ? compareToBaseline(report, baseline, options.tolerance) : []) {
+            failures.push(`${drop.metric} fell from ${formatMetric(drop.baseline)} to ${formatMetric(drop.current)}`);
+        }
+        if (failures.length > 0) {
+            failures.forEach(failure => console.log(chalk.red(`❌ Regression: ${failure}`)));
+            process.exit(EXIT_EVAL_REGRESSION);
+        }
+        if (options.minF1 !== undefined || baseline) {
+            console.log(chalk.green('✅ Evaluation gate passed'));
+        }
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+async function runEvalSeedCommand(analysisFiles, options) {
+    try {
+        await fs.ensureDir(options.goldDir);
+        for (const file of analysisFiles) {
+            const gold = goldFromAnalysis(await fs.readJson(file), { seededFrom: path.basename(file) });
+            const goldFile = path.join(options.goldDir, `${path.parse(gold.source_file).name}.json`);
+            if (!options.force && await fs.pathExists(goldFile)) {
+                console.log(chalk.yellow(`  ⏭️  ${goldFile} exists - use --force to replace it`));
+                continue;
+            }
+            await fs.writeJson(goldFile, gold, { spaces: 2 });
+            console.log(chalk.green(`  ✅ ${goldFile}: ${gold.references.length} references`));
+        }
+        console.log(chalk.yellow('💡 Check each gold file by hand, fix what the analysis got wrong, then set "verified": true'));
+    } catch (error) {
+        console.log(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+async function main() {
+    const program = new Command();
+    
+    program
+        .name('sebi-reference-finder')
+        .description('AI-powered SEBI compliance reference finder')
+        .version('1.0.0')
+        .enablePositionalOptions()
+        .argument('<pdf_file>', 'PDF file to analyze')
+        .option('-f, --format <formats>', `extra report formats besides JSON (${REPORT_FORMATS.join(', ')})`, parseReportFormats, [])
+        .option('-o, --out-dir <dir>', 'directory for the JSON analysis and reports', '.');
+
+    addLlmOptions(program)
+        .action(async (pdfFile, options) => {
+            try {
+                // Validate input
+                if (!await fs.pathExists(pdfFile)) {
+                    console.log(chalk.red(`❌ Error: File '${pdfFile}' not found`));
+                    process.exit(1);
+                }
+                
+                if (!pdfFile.toLowerCase().endsWith('.pdf')) {
+                    console.log(chalk.red(`❌ Error: '${pdfFile}' is not a PDF file`));
+                    process.exit(1);
+                }
+                
+                const provider = await buildProvider(options);
+                
+                console.log(chalk.bold.blue('🚀 SEBI Enhanced AI Reference Finder'));
+                console.log('='.repeat(50));
+                
+                // Load local circular database
+                const finder = await loadFinder({
+                    engine: options.engine,
+                    provider,
+                    chunking: chunkingOptions(options),
+                    retry: retryOptions(options)
+                });
+                
+                // Run AI and/or rule-based analysis
+                let references;
+                try {
+                    references = await finder.findReferences(pdfFile);
+                } catch (error) {
+                    if (!(error instanceof IncompleteAnalysisError)) {
+                        throw error;
+                    }
+                    // Never report a failed analysis as "no references found"
+                    const partialFile = await finder.savePartialResults(error, path.basename(pdfFile), pdfFile, {
+                        outputDir: options.outDir
+                    });
+                    console.log(chalk.red(`❌ Error: ${error.message}`));
+                    console.log(chalk.yellow(`💾 Partial results (${error.references.length} references from ${error.totalParts - error.failedParts.length} of ${error.totalParts} parts) saved to: ${partialFile}`));
+                    console.log(chalk.yellow('💡 No analysis was saved; re-run once the provider responds, or use --engine rules'));
+                    process.exit(EXIT_INCOMPLETE_ANALYSIS);
+                }
+                
+                // Enhance with availability info
+                const enhancedReferences = finder.enhanceReferencesWithAvailability(
+                    references, path.basename(pdfFile)
+                );
+                
+                // Group repeated mentions of the same document
+                const consolidatedReferences = finder.consolidateReferences(enhancedReferences);
+                
+                // Display results
+                finder.formatResults(consolidatedReferences, path.basename(pdfFile));
+                
+                // Save results
+                await finder.saveResults(consolidatedReferences, path.basename(pdfFile), pdfFile, {
+                    outputDir: options.outDir,
+                    formats: options.format
+                });
+                
+                console.log(chalk.green(`\n✅ ${finder.engine === 'rules' ? 'Rule-based' : 'Enhanced AI'} reference analysis completed!`));
+                
+            } catch (error) {
+                console.log(chalk.red(`❌ Error: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    const analyzeAll = program
+        .command('analyze-all')
+        .description(`Analyze every PDF in ${LOCAL_CIRCULARS_DIR}/ and build a citation graph`)
+        .option('-c, --concurrency <n>', 'number of circulars analyzed in parallel', value => parseInt(value, 10), 2)
+        .option('-o, --out-dir <dir>', 'directory for per-circular analyses and the graph', 'analyses')
+        .option('-g, --graph-format <formats>', `comma-separated graph exports (${GRAPH_FORMATS.join(', ')})`, parseList, ['json'])
+        .option('-f, --format <formats>', `extra report formats per circular (${REPORT_FORMATS.join(', ')})`, parseReportFormats, [])
+        .option('--entity <type>', 'only analyze circulars applying to this entity type (e.g. "research analyst", CRA)', parseEntity)
+        .option('--no-resume', 'ignore previous batch progress and re-analyze every circular');
+
+    addLlmOptions(analyzeAll)
+        .action(async (options) => {
+            try {
+                const unknownFormats = options.graphFormat.filter(format => !GRAPH_FORMATS.includes(format));
+                if (unknownFormats.length > 0) {
+                    console.log(chalk.red(`❌ Error: Unsupported graph format(s): ${unknownFormats.join(', ')}`));
+                    process.exit(1);
+                }
+                if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+                    console.log(chalk.red('❌ Error: --concurrency must be a positive integer'));
+                    process.exit(1);
+                }
+
+                const provider = await buildProvider(options);
+
+                console.log(chalk.bold.blue('🚀 SEBI Enhanced AI Reference Finder - Batch Mode'));
+                console.log('='.repeat(50));
+
+                const finder = await loadFinder({
+                    engine: options.engine,
+                    provider,
+                    chunking: chunkingOptions(options),
+                    retry: retryOptions(options)
+                });
+                finder.quiet = true;
+
+                const batch = new BatchAnalyzer(finder, {
+                    outputDir: options.outDir,
+                    concurrency: options.concurrency,
+                    resume: options.resume,
+                    formats: options.format
+                });
+
+                const filenames = Object.keys(finder.localCirculars)
+                    .filter(filename => !options.entity || circularHasEntity(finder.localCirculars[filename], options.entity));
+                if (options.entity) {
+                    console.log(chalk.blue(`🏢 ${filenames.length} circulars apply to ${entityById(finder.taxonomy, options.entity).label}`));
+                }
+
+                const summary = await batch.run(filenames);
+                const { graph, written } = await batch.writeGraph(options.graphFormat);
+                const graphSummary = graph.toJSON().summary;
+
+                console.log(chalk.blue('\n📊 BATCH SUMMARY:'));
+                console.log(`   ✅ Analyzed this run: ${summary.analyzed}`);
+                console.log(`   ⏭️  Skipped (already complete): ${summary.skipped}`);
+                console.log(`   ❌ Failed: ${summary.failed.length}`);
+                if (summary.incomplete.length > 0) {
+                    console.log(`   ⚠️ Incomplete AI analyses (partial results saved): ${summary.incomplete.length}`);
+                }
+                console.log(`   🕸️  Graph: ${graphSummary.local_nodes} local + ${graphSummary.external_nodes} external nodes, ${graphSummary.edges} edges`);
+                for (const file of written) {
+                    console.log(chalk.green(`   💾 ${file}`));
+                }
+
+                if (summary.failed.length > 0) {
+                    console.log(chalk.yellow('💡 Re-run analyze-all to retry failed circulars; completed ones are skipped.'));
+                    process.exit(summary.incomplete.length > 0 ? EXIT_INCOMPLETE_ANALYSIS : 1);
+                }
+            } catch (error) {
+                console.log(chalk.red(`❌ Error: ${error.message}`));
+                process.exit(1);
+            }
+        });
+    
+    program
+        .command('search')
+        .description('Full-text search of the local collection with page-level hits (offline, no AI)')
+        .argument('<query>', 'words to rank by; wrap exact phrases in double quotes')
+        .option('--from <date>', 'only circulars issued on or after this date (YYYY-MM-DD)', parseIsoDate)
+        .option('--to <date>', 'only circulars issued on or before this date (YYYY-MM-DD)', parseIsoDate)
+        .option('-d, --department <code>', 'only circulars whose number carries this department code (e.g. MRD, MIRSD)')
+        .option('--entity <type>', 'only circulars applying to this entity type (e.g. "research analyst", CRA)', parseEntity)
+        .option('-n, --limit <n>', 'number of circulars to show', value => parseInt(value, 10), 10)
+        .option('--pages <n>', 'best pages shown per circular', value => parseInt(value, 10), 3)
+        .option('--json', 'print the results as JSON')
+        .action(runSearchCommand);
+
+    const diff = program
+        .command('diff')
+        .description('Compare two saved analyses (JSON), or two PDF versions of a circular paragraph by paragraph')
+        .argument('<a>', 'older analysis JSON or PDF')
+        .argument('<b>', 'newer analysis JSON or PDF')
+        .option('--json', 'print the diff as JSON');
+
+    addLlmOptions(diff)
+        .action(runDiffCommand);
+
+    program
+        .command('obligations')
+        .description('Extract obligations and deadlines (entity, action, date, page) with ICS calendar export (offline, no AI)')
+        .argument('[pdf_file]', 'PDF file to analyze')
+        .option('--all', `analyze every PDF in ${LOCAL_CIRCULARS_DIR}/ and write a consolidated CSV tracker and calendar`)
+        .option('-o, --out-dir <dir>', "output directory (default: '.' for one file, 'obligations' with --all)")
+        .action(runObligationsCommand);
+
+    const watch = program
+        .command('watch')
+        .description(`Index and analyze PDFs as they are added to ${LOCAL_CIRCULARS_DIR}/, re-checking older analyses against them`)
+        .option('-o, --out-dir <dir>', 'directory for new analyses, the graph and the run log', 'analyses')
+        .option('-a, --analyses <dirs>', 'comma-separated directories of saved analyses to re-check', value => value.split(','), ['.', 'analyses'])
+        .option('--debounce <ms>', 'quiet period before a changed file counts as fully written', value => parseInt(value, 10), DEFAULT_DEBOUNCE_MS)
+        .option('-g, --graph-format <formats>', `comma-separated graph exports (${GRAPH_FORMATS.join(', ')})`, parseList, ['json'])
+        .option('-f, --format <formats>', `extra report formats per circular (${REPORT_FORMATS.join(', ')})`, parseReportFormats, [])
+        .option('--once', 'process files added since the last run, then exit instead of watching');
+
+    addLlmOptions(watch)
+        .action(runWatchCommand);
+
+    const serve = program
+        .command('serve')
+        .description('Run a local HTTP API for analyzing PDFs, browsing the collection and running batch jobs')
+        .option('--port <n>', 'port to listen on', value => parseInt(value, 10), DEFAULT_PORT)
+        .option('--host <host>', 'interface to bind (use 0.0.0.0 to accept remote clients)', '127.0.0.1')
+        .option('--token <token>', 'require this API token (default: SEBI_API_TOKEN environment variable)')
+        .option('--max-upload-mb <n>', 'largest PDF upload accepted', parseFloat, DEFAULT_MAX_UPLOAD_MB)
+        .option('-o, --out-dir <dir>', 'directory for analyses, uploads and batch output', 'analyses')
+        .option('-a, --analyses <dirs>', 'comma-separated directories holding saved analyses', value => value.split(','), ['.', 'analyses'])
+        .option('-f, --format <formats>', `extra report formats per analysis (${REPORT_FORMATS.join(', ')})`, parseReportFormats, [])
+        .option('-c, --concurrency <n>', 'circulars analyzed in parallel by batch jobs', value => parseInt(value, 10), 2);
+
+    addLlmOptions(serve)
+        .action(async (options) => {
+            try {
+                const provider = await buildProvider(options);
+
+                console.log(chalk.bold.blue('🚀 SEBI Enhanced AI Reference Finder - API Server'));
+                console.log('='.repeat(50));
+
+                const finder = await loadFinder({
+                    engine: options.engine,
+                    provider,
+                    chunking: chunkingOptions(options),
+                    retry: retryOptions(options)
+                });
+                finder.quiet = true;
+
+                const token = options.token || process.env.SEBI_API_TOKEN || null;
+                const server = new ApiServer(finder, {
+                    outputDir: options.outDir,
+                    analysisDirs: options.analyses,
+                    token,
+                    maxUploadBytes: Math.round(options.maxUploadMb * 1024 * 1024),
+                    formats: options.format,
+                    concurrency: options.concurrency
+                });
+                const address = await server.listen(options.port, options.host);
+
+                console.log(chalk.green(`✅ Listening on http://${address.address}:${address.port}`));
+                console.log(token ? '🔒 API token required (Authorization: Bearer <token>)' : chalk.yellow('⚠️ No API token set - anyone who can reach this port can use the API'));
+                console.log(`📦 Uploads up to ${options.maxUploadMb} MB; analyses saved to ${options.outDir}`);
+
+                process.on('SIGINT', async () => {
+                    console.log(chalk.blue('\n👋 Shutting down'));
+                    await server.close();
+                    process.exit(0);
+                });
+            } catch (error) {
+                console.log(chalk.red(`❌ Error: ${error.message}`));
+                process.exit(1);
+            }
+        });
+    
+    const evaluation = program
+        .command('eval')
+        .description('Measure extraction quality against hand-verified gold references');
+
+    const evalRun = evaluation
+        .command('run')
+        .description('Run the pipeline over every gold circular and report precision, recall and F1 per reference type')
+        .option('-g, --gold-dir <dir>', 'directory of gold reference files', GOLD_DIR)
+        .option('--min-f1 <n>', `exit with code ${EXIT_EVAL_REGRESSION} when overall F1 is below this`, parseFloat)
+        .option('--baseline <file>', `exit with code ${EXIT_EVAL_REGRESSION} when a metric falls below this saved report`)
+        .option('--tolerance <n>', 'allowed drop from the baseline', parseFloat, 0)
+        .option('-o, --out <file>', 'save the evaluation report as JSON (usable as a later --baseline)')
+        .option('--json', 'print the report as JSON');
+
+    addLlmOptions(evalRun)
+        .action(runEvalCommand);
+
+    evaluation
+        .command('seed')
+        .description('Create gold files from saved analyses, for checking by hand')
+        .argument('<analyses...>', 'compliance_references_*.json files')
+        .option('-g, --gold-dir <dir>', 'directory of gold reference files', GOLD_DIR)
+        .option('--force', 'replace existing gold files')
+        .action(runEvalSeedCommand);
+
+    const index = program
+        .command('index')
+        .description('Manage the persistent index of the local circular collection');
+
+    index
+        .command('rebuild')
+        .description('Index new or changed circulars and drop deleted ones')
+        .option('-f, --force', 're-extract every circular, ignoring the existing index')
+        .action(async (options) => {
+            try {
+                const finder = new EnhancedAIReferenceFinder();
+                await finder.loadLocalCirculars({ force: options.force });
+                printIndexStatus(finder.index, await finder.index.scan());
+            } catch (error) {
+                console.log(chalk.red(`❌ Error: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    index
+        .command('list')
+        .description('List indexed circulars with their entity types and department')
+        .option('--entity <type>', 'only circulars applying to this entity type (e.g. "research analyst", CRA)', parseEntity)
+        .option('-d, --department <code>', 'only circulars whose number carries this department code (e.g. MRD, MIRSD)')
+        .option('--json', 'print the circulars as JSON')
+        .action(runListCommand);
+
+    index
+        .command('status')
+        .description('Show stale index entries and extraction failures without changing anything')
+        .action(async () => {
+            try {
+                const circularIndex = new EnhancedAIReferenceFinder().createIndex();
+                printIndexStatus(circularIndex, await circularIndex.scan());
+            } catch (error) {
+                console.log(chalk.red(`❌ Error: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('impact')
+        .description('List every circular that depends on a document, directly or transitively')
+        .argument('<target>', 'circular number, title or PDF filename')
+        .option('-a, --analyses <dirs>', 'comma-separated directories holding saved analyses', value => value.split(','), ['.', 'analyses'])
+        .option('--json', 'print the report as JSON')
+        .action((target, options) => runImpactCommand(target, 'incoming', options));
+
+    program
+        .command('depends-on')
+        .description('List every document a circular relies on, directly or transitively')
+        .argument('<file>', 'PDF filename (or circular number) of the analyzed circular')
+        .option('-a, --analyses <dirs>', 'comma-separated directories holding saved analyses', value => value.split(','), ['.', 'analyses'])
+        .option('--json', 'print the report as JSON')
+        .action((file, options) => runImpactCommand(file, 'outgoing', options));
+
+    program
+        .command('acquisition-list')
+        .description('Rank the external documents we do not hold by how many circulars cite them')
+        .option('-a, --analyses <dirs>', 'comma-separated directories holding saved analyses', value => value.split(','), ['.', 'analyses'])
+        .option('-n, --limit <n>', 'number of documents to show', value => parseInt(value, 10), 20)
+        .option('--json', 'print the full list as JSON')
+        .action(runAcquisitionListCommand);
+
+    program
+        .command('status')
+        .description('Report whether a circular (or one of its paragraphs) is in force, amended or superseded')
+        .argument('<circular>', 'circular number, title or PDF filename')
+        .option('--provision <para>', 'only changes affecting this paragraph/clause (e.g. 33.1.3)')
+        .option('-a, --analyses <dirs>', 'comma-separated directories holding saved analyses', value => value.split(','), ['.', 'analyses'])
+        .option('--json', 'print the report as JSON')
+        .action(runStatusCommand);
     
     program.parse();
 }